@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * CLI entry point for cloudflared-tunnel-stop
+ */
+
+const { executeStop } = require('../src/cli/commands');
+
+// Execute CLI
+executeStop(process.argv).catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -15,19 +15,35 @@ function validatePackageStructure() {
     'README.md',
     'src/index.js',
     'bin/cloudflared-tunnel-start.js',
+    'bin/cloudflared-tunnel-stop.js',
+    'bin/cloudflared-tunnel-status.js',
     'src/cli/commands.js',
     'src/core/config.js',
+    'src/core/config-file.js',
+    'src/core/access.js',
+    'src/core/hostname-template.js',
+    'src/core/origin-request.js',
+    'src/core/tunnel-entry.js',
+    'src/core/token-permissions.js',
+    'src/core/tunnel-token.js',
+    'src/core/zone-match.js',
     'src/core/tunnel-manager.js',
+    'src/core/tunnel-stopper.js',
+    'src/core/tunnel-status.js',
     'src/core/cloudflare-client.js',
     'src/core/cloudflared-installer.js',
     'src/adapters/fs-adapter.js',
     'src/adapters/http-adapter.js',
     'src/adapters/process-adapter.js',
     'src/adapters/metadata-adapter.js',
+    'src/adapters/state-adapter.js',
+    'src/adapters/env-adapter.js',
+    'src/adapters/ci-output-adapter.js',
     'src/utils/logger.js',
     'src/utils/time.js',
     'src/utils/errors.js',
-    'src/utils/retry.js'
+    'src/utils/retry.js',
+    'src/utils/yaml.js'
   ];
   
   const missing = [];
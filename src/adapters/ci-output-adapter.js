@@ -0,0 +1,41 @@
+const fs = require('fs');
+
+// Job variables for later CI steps
+// GitHub Actions: ::add-mask:: plus the $GITHUB_ENV and $GITHUB_OUTPUT files
+// Azure Pipelines: ##vso[task.setvariable] logging commands (issecret masks the value)
+
+function getCIProvider() {
+  if (process.env.GITHUB_ACTIONS) return 'github';
+  if (process.env.AZURE_PIPELINES || process.env.TF_BUILD) return 'azure';
+  return null;
+}
+
+function maskValue(value) {
+  if (getCIProvider() === 'github' && value) {
+    process.stdout.write(`::add-mask::${value}\n`);
+  }
+}
+
+// Sets an environment variable for later steps and, on GitHub, a step output of the same name
+// Returns the CI provider, null when not running in a supported CI
+function setJobVariable(name, value, options = {}) {
+  const { secret = false } = options;
+  const provider = getCIProvider();
+
+  if (provider === 'github') {
+    if (secret) maskValue(value);
+    [process.env.GITHUB_ENV, process.env.GITHUB_OUTPUT]
+      .filter(Boolean)
+      .forEach(filePath => fs.appendFileSync(filePath, `${name}=${value}\n`, 'utf8'));
+  } else if (provider === 'azure') {
+    process.stdout.write(`##vso[task.setvariable variable=${name};issecret=${secret}]${value}\n`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  getCIProvider,
+  maskValue,
+  setJobVariable
+};
@@ -0,0 +1,79 @@
+const path = require('path');
+const { readText, exists } = require('./fs-adapter');
+
+/**
+ * .env file loading (KEY=VALUE lines, optional export prefix, quotes and comments)
+ */
+
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1)
+      .replace(/\\n/g, '\n')
+      .replace(/\\r/g, '\r')
+      .replace(/\\t/g, '\t')
+      .replace(/\\"/g, '"')
+      .replace(/\\\\/g, '\\');
+  }
+  if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1);
+  }
+  return value.replace(/\s+#.*$/, '').trim();
+}
+
+/**
+ * Parse .env content
+ * @param {string} content - File content
+ * @returns {object} Values keyed by variable name
+ */
+function parseEnvContent(content) {
+  const values = {};
+  if (!content) return values;
+
+  content.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+    if (!match) return;
+
+    values[match[1]] = unquote(match[2].trim());
+  });
+
+  return values;
+}
+
+/**
+ * Load a single .env file
+ * @param {string} filePath - File path
+ * @returns {object} Values (empty if the file does not exist)
+ */
+function loadEnvFile(filePath) {
+  return parseEnvContent(readText(filePath));
+}
+
+/**
+ * Load several .env files, later files overriding earlier ones
+ * @param {string[]} filePaths - Files in increasing order of precedence
+ * @returns {{values: object, files: object}} Values and the file each value came from
+ */
+function loadEnvFiles(filePaths) {
+  const values = {};
+  const files = {};
+
+  filePaths.forEach((filePath) => {
+    if (!exists(filePath)) return;
+    const loaded = loadEnvFile(filePath);
+    Object.keys(loaded).forEach((key) => {
+      values[key] = loaded[key];
+      files[key] = path.resolve(filePath);
+    });
+  });
+
+  return { values, files };
+}
+
+module.exports = {
+  parseEnvContent,
+  loadEnvFile,
+  loadEnvFiles
+};
@@ -1,8 +1,14 @@
-const { retry } = require('../utils/retry');
+const { retryIf } = require('../utils/retry');
 const { NetworkError, CloudflareApiError } = require('../utils/errors');
 const { maskTokensInContent } = require('../utils/logger');
 
 const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_PER_PAGE = 100;
+const DEFAULT_MAX_PAGES = 50;
+const DEFAULT_MAX_DELAY = 60000;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+// Connection errors raised before the request was sent, safe to retry for any method
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
 
 async function fetchWithTimeout(url, options = {}, timeout = DEFAULT_TIMEOUT) {
   const controller = new AbortController();
@@ -23,16 +29,54 @@ async function fetchWithTimeout(url, options = {}, timeout = DEFAULT_TIMEOUT) {
   }
 }
 
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter, so parallel runners do not retry in lockstep
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+function getErrorCode(error) {
+  return error.code || error.cause?.code || error.originalError?.cause?.code || null;
+}
+
+// retry: safe to send again
+// ambiguous: a non-idempotent write failed without a clear answer and may have been applied
+// fail: the answer is final
+function classifyFailure(error, idempotent) {
+  if (error instanceof CloudflareApiError) {
+    if (error.statusCode === 429) return 'retry';
+    if (error.statusCode >= 500) return idempotent ? 'retry' : 'ambiguous';
+    return 'fail';
+  }
+  if (NOT_SENT_CODES.includes(getErrorCode(error))) return 'retry';
+  return idempotent ? 'retry' : 'ambiguous';
+}
+
+// Options beyond auth: idempotent overrides the method default (PATCH calls that set absolute values),
+// recover() re-checks state after an ambiguous write: it returns the resource that was created anyway,
+// or null when the write did not happen and may be sent again
 async function cloudflareRequest(endpoint, options = {}) {
   const {
     method = 'GET',
     headers = {},
     body = null,
     apiKey,
+    apiToken,
     email,
     accountId,
     timeout = DEFAULT_TIMEOUT,
     retryOptions = {},
+    idempotent = IDEMPOTENT_METHODS.includes(method),
+    recover = null,
     logger = null
   } = options;
   
@@ -40,10 +84,14 @@ async function cloudflareRequest(endpoint, options = {}) {
     ? endpoint 
     : `https://api.cloudflare.com/client/v4${endpoint}`;
   
+  // Scoped API tokens use Bearer auth, the Global API Key needs the account email
+  const authHeaders = apiToken
+    ? { Authorization: `Bearer ${apiToken}` }
+    : { 'X-Auth-Email': email, 'X-Auth-Key': apiKey };
+  
   const requestHeaders = {
     'Content-Type': 'application/json',
-    'X-Auth-Email': email,
-    'X-Auth-Key': apiKey,
+    ...authHeaders,
     ...headers
   };
   
@@ -56,45 +104,79 @@ async function cloudflareRequest(endpoint, options = {}) {
     requestOptions.body = JSON.stringify(body);
   }
   
-  try {
-    const response = await retry(
-      () => fetchWithTimeout(url, requestOptions, timeout),
-      {
-        maxAttempts: 3,
-        delay: 2000,
-        ...retryOptions,
-        onRetry: (error, attempt, waitTime) => {
-          if (logger) {
-            logger.warn(`API request failed (attempt ${attempt}), retrying in ${waitTime}ms...`);
-          }
-        }
-      }
-    );
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new CloudflareApiError(
-        data.errors?.[0]?.message || `HTTP ${response.status}: ${response.statusText}`,
-        response.status,
-        data
-      );
+  const { maxAttempts = 3, delay = 2000, maxDelay = DEFAULT_MAX_DELAY } = retryOptions;
+  const attempts = [];
+  
+  const send = async (attempt) => {
+    let response;
+    try {
+      response = await fetchWithTimeout(url, requestOptions, timeout);
+    } catch (error) {
+      attempts.push({ attempt, method, status: null, error: error.message });
+      throw error;
     }
     
-    if (!data.success) {
-      throw new CloudflareApiError(
-        data.errors?.[0]?.message || 'API request failed',
-        response.status,
-        data
-      );
+    // Proxies in front of the API answer some 5xx errors with HTML
+    const data = await response.json().catch(() => null);
+    if (response.ok && data && data.success) {
+      attempts.push({ attempt, method, status: response.status, error: null, decision: 'done' });
+      return data;
     }
     
-    return data;
+    const message = data?.errors?.[0]?.message
+      || (response.ok ? 'API request failed' : `HTTP ${response.status}: ${response.statusText}`);
+    attempts.push({ attempt, method, status: response.status, error: message });
+    const error = new CloudflareApiError(message, response.status, data, attempts);
+    error.retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+    throw error;
+  };
+  
+  const sendOnce = async (attempt) => {
+    try {
+      return await send(attempt);
+    } catch (error) {
+      const record = attempts[attempts.length - 1];
+      record.decision = classifyFailure(error, idempotent);
+      if (record.decision === 'ambiguous' && recover) {
+        const existing = await recover();
+        if (existing) {
+          record.decision = 'recovered';
+          if (logger) logger.warn(`${method} ${endpoint} failed (${error.message}) but was applied, using the existing resource`);
+          return { success: true, result: existing, recovered: true };
+        }
+        record.decision = 'retry';
+      }
+      throw error;
+    }
+  };
+  
+  try {
+    return await retryIf(sendOnce, () => attempts[attempts.length - 1].decision === 'retry', {
+      maxAttempts,
+      delay: (error, attempt) => {
+        const retryAfter = error.retryAfter;
+        return retryAfter !== null && retryAfter !== undefined
+          ? Math.min(maxDelay, retryAfter) + Math.round(Math.random() * 1000)
+          : backoffDelay(attempt, delay, maxDelay);
+      },
+      onRetry: (error, attempt, waitTime) => {
+        attempts[attempts.length - 1].waitMs = waitTime;
+        if (logger) {
+          logger.warn(`API request ${method} ${endpoint} failed (attempt ${attempt}: ${error.message}), retrying in ${waitTime}ms...`);
+        }
+      }
+    });
   } catch (error) {
+    const last = attempts[attempts.length - 1];
+    if (last && last.decision === 'retry') {
+      last.decision = 'gave up';
+    }
+    const note = last && last.decision === 'ambiguous' ? ` (${method} not retried: it may have been applied)` : '';
     if (error instanceof CloudflareApiError) {
+      error.message += note;
       throw error;
     }
-    throw new NetworkError(`Failed to make API request to ${url}: ${error.message}`, error);
+    throw new NetworkError(`Failed to make API request to ${url}: ${error.message}${note}`, error, attempts);
   }
 }
 
@@ -118,6 +200,59 @@ async function del(endpoint, options = {}) {
   return cloudflareRequest(endpoint, { ...options, method: 'DELETE' });
 }
 
+function withQuery(endpoint, params) {
+  const query = new URLSearchParams();
+  Object.keys(params).forEach((key) => {
+    if (params[key] !== undefined && params[key] !== null) query.set(key, String(params[key]));
+  });
+  const queryString = query.toString();
+  if (!queryString) return endpoint;
+  return `${endpoint}${endpoint.includes('?') ? '&' : '?'}${queryString}`;
+}
+
+// Iterate over all results of a paginated list endpoint, following result_info
+// onTruncated is called when maxPages is reached before the last page
+async function* paginate(endpoint, options = {}) {
+  const {
+    params = {},
+    perPage = DEFAULT_PER_PAGE,
+    maxPages = DEFAULT_MAX_PAGES,
+    onTruncated = null,
+    ...requestOptions
+  } = options;
+  
+  let fetched = 0;
+  for (let page = 1; ; page++) {
+    const data = await get(withQuery(endpoint, { ...params, page, per_page: perPage }), requestOptions);
+    const results = data.result || [];
+    fetched += results.length;
+    for (const item of results) {
+      yield item;
+    }
+    
+    const info = data.result_info || {};
+    const totalPages = info.total_pages
+      || (info.total_count ? Math.ceil(info.total_count / (info.per_page || perPage)) : null);
+    const hasMore = totalPages ? page < totalPages : results.length === perPage;
+    if (!hasMore) return;
+    if (page >= maxPages) {
+      if (onTruncated) onTruncated({ endpoint, pages: page, fetched, total: info.total_count || null });
+      return;
+    }
+  }
+}
+
+// cloudflared metrics /ready endpoint: 200 once the tunnel has registered connections
+async function checkReady(metricsAddress, timeout = 2000) {
+  try {
+    const response = await fetchWithTimeout(`http://${metricsAddress}/ready`, {}, timeout);
+    const data = await response.json().catch(() => ({}));
+    return { ready: response.ok, readyConnections: data.readyConnections || 0 };
+  } catch (error) {
+    return { ready: false, readyConnections: 0, error: error.message };
+  }
+}
+
 async function downloadFile(url, destPath, options = {}) {
   const { timeout = 60000 } = options;
   try {
@@ -140,5 +275,8 @@ module.exports = {
   put,
   patch,
   del,
+  withQuery,
+  paginate,
+  checkReady,
   downloadFile
 };
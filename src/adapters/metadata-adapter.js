@@ -43,6 +43,23 @@ function getCloudflaredMetadata() {
   return metadata.cloudflared || null;
 }
 
+function getCloudflaredTunnels(cloudflared = getCloudflaredMetadata()) {
+  if (!cloudflared) return [];
+  if (Array.isArray(cloudflared.tunnels)) return cloudflared.tunnels;
+  // Single-tunnel metadata written by earlier versions
+  if (cloudflared.pid || cloudflared.tunnelId) {
+    return [{
+      pid: cloudflared.pid,
+      tunnelId: cloudflared.tunnelId,
+      tunnelName: cloudflared.tunnelName,
+      services: cloudflared.services || [],
+      files: cloudflared.files || {},
+      startedAt: cloudflared.startedAt
+    }];
+  }
+  return [];
+}
+
 function removeCloudflaredMetadata() {
   const metadata = readMetadata();
   delete metadata.cloudflared;
@@ -55,5 +72,6 @@ module.exports = {
   writeMetadata,
   updateCloudflaredMetadata,
   getCloudflaredMetadata,
+  getCloudflaredTunnels,
   removeCloudflaredMetadata
 };
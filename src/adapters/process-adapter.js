@@ -1,6 +1,9 @@
+const fs = require('fs');
 const spawn = require('cross-spawn');
 const os = require('os');
+const net = require('net');
 const { ProcessError } = require('../utils/errors');
+const { sleep } = require('../utils/time');
 
 const isWindows = os.platform() === 'win32';
 const isLinux = os.platform() === 'linux';
@@ -151,6 +154,19 @@ function spawnDetached(command, args = [], options = {}) {
   return child;
 }
 
+// Free local TCP port, e.g. for the cloudflared metrics server
+function getFreePort(host = '127.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, host, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
 function isProcessRunning(pid) {
   try {
     process.kill(pid, 0);
@@ -169,6 +185,30 @@ function killProcess(pid, signal = 'SIGTERM') {
   }
 }
 
+// Command line of a running process, null when it cannot be read
+async function getProcessCommand(pid) {
+  try {
+    if (isLinux) {
+      return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').join(' ').trim();
+    }
+    const result = isWindows
+      ? await execute('tasklist', ['/FI', `PID eq ${pid}`, '/FO', 'CSV', '/NH'], { timeout: 10000 })
+      : await execute('ps', ['-p', String(pid), '-o', 'command='], { timeout: 10000 });
+    return result.code === 0 ? result.stdout : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function waitForProcessExit(pid, timeout = 10000, interval = 500) {
+  const deadline = Date.now() + timeout;
+  while (isProcessRunning(pid)) {
+    if (Date.now() >= deadline) return false;
+    await sleep(interval);
+  }
+  return true;
+}
+
 module.exports = {
   isWindows,
   isLinux,
@@ -178,6 +218,9 @@ module.exports = {
   execute,
   executeWithSudoFallback,
   spawnDetached,
+  getFreePort,
   isProcessRunning,
-  killProcess
+  killProcess,
+  getProcessCommand,
+  waitForProcessExit
 };
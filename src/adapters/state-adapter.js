@@ -0,0 +1,58 @@
+const { readJson, writeJson, exists, deleteFile } = require('./fs-adapter');
+
+function emptyState() {
+  return {
+    tunnels: [],
+    dnsRecords: [],
+    accessApps: [],
+    accessServiceTokens: []
+  };
+}
+
+function readState(statePath) {
+  if (!exists(statePath)) {
+    return emptyState();
+  }
+  try {
+    return { ...emptyState(), ...(readJson(statePath) || {}) };
+  } catch (error) {
+    console.warn(`Failed to read state: ${error.message}`);
+    return emptyState();
+  }
+}
+
+function writeState(statePath, state) {
+  state.lastUpdated = new Date().toISOString();
+  writeJson(statePath, state, 0o600);
+}
+
+function recordCreatedResource(statePath, type, resource) {
+  const state = readState(statePath);
+  if (!state[type]) {
+    state[type] = [];
+  }
+  if (!state[type].some(item => item.id === resource.id)) {
+    state[type].push({ ...resource, createdAt: new Date().toISOString() });
+  }
+  writeState(statePath, state);
+  return state;
+}
+
+function removeRecordedResource(statePath, type, id) {
+  const state = readState(statePath);
+  state[type] = (state[type] || []).filter(item => item.id !== id);
+  writeState(statePath, state);
+  return state;
+}
+
+function clearState(statePath) {
+  deleteFile(statePath);
+}
+
+module.exports = {
+  readState,
+  writeState,
+  recordCreatedResource,
+  removeRecordedResource,
+  clearState
+};
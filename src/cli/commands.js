@@ -5,9 +5,31 @@ const logger = require('../utils/logger');
 const { parseInput, reportConfigStatus, validate, getLogsDir } = require('../core/config');
 const { plan } = require('../core/plan');
 const TunnelManager = require('../core/tunnel-manager');
+const TunnelStopper = require('../core/tunnel-stopper');
+const TunnelStatus = require('../core/tunnel-status');
 const { handleError } = require('../utils/errors');
 const { getVietnamDate } = require('../utils/time');
 
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+function addConfigSourceOptions(program) {
+  return program
+    .option('--config <path>', 'Config file (cloudflared-tunnel.yml or .json), also CLOUDFLARED_CONFIG_FILE')
+    .option('--profile <name>', 'Load .env.<name> on top of .env, also CLOUDFLARED_PROFILE')
+    .option('--env-file <path>', 'Additional env file, repeatable (later files win)', collect, []);
+}
+
+function parseConfigFromOptions(options) {
+  return parseInput({
+    cwd: options.cwd ? path.resolve(options.cwd) : undefined,
+    configFile: options.config,
+    profile: options.profile,
+    envFiles: (options.envFile || []).map(envFile => path.resolve(envFile))
+  });
+}
+
 function createProgram() {
   const program = new Command();
   
@@ -15,7 +37,14 @@ function createProgram() {
     .name('cloudflared-tunnel-start')
     .description('Create and manage Cloudflare tunnels for CI/CD runners')
     .version(packageJson.version)
-    .option('--cwd <path>', 'Working directory', process.cwd())
+    .option('--cwd <path>', 'Working directory', process.cwd());
+  
+  addConfigSourceOptions(program)
+    .option('--ephemeral', 'Create a fresh, uniquely named tunnel for this run and delete it on stop')
+    .option('--config-mode <mode>', 'Where ingress rules live: local (config.yml) or remote (pushed via the API), also CLOUDFLARED_CONFIG_MODE')
+    .option('--access-service-token', 'Issue an Access service token for later CI steps, revoked on stop, also CLOUDFLARED_ACCESS_SERVICE_TOKEN')
+    .option('--dns-conflict <policy>', 'Existing DNS records that do not point at the tunnel: auto (default), skip, update, replace or fail, also CLOUDFLARED_DNS_CONFLICT')
+    .option('--dry-run', 'Print the plan, generated config and command without changing anything')
     .option('--verbose', 'Enable verbose logging')
     .option('--quiet', 'Suppress non-error output')
     .option('--log-file <path>', 'Log file path (default: .runner-data/logs/cloudflared-tunnel.log)');
@@ -23,14 +52,58 @@ function createProgram() {
   return program;
 }
 
+function createStopProgram() {
+  const program = new Command();
+  
+  program
+    .name('cloudflared-tunnel-stop')
+    .description('Stop the Cloudflare tunnel started by cloudflared-tunnel-start')
+    .version(packageJson.version)
+    .option('--cwd <path>', 'Working directory', process.cwd());
+  
+  addConfigSourceOptions(program)
+    .option('--delete-resources', 'Delete DNS records and tunnels created by this tool')
+    .option('--verbose', 'Enable verbose logging')
+    .option('--quiet', 'Suppress non-error output')
+    .option('--log-file <path>', 'Log file path (default: .runner-data/logs/cloudflared-tunnel.log)');
+  
+  return program;
+}
+
+function createStatusProgram() {
+  const program = new Command();
+  
+  program
+    .name('cloudflared-tunnel-status')
+    .description('Show live health of the Cloudflare tunnel (exits non-zero when not up)')
+    .version(packageJson.version)
+    .option('--cwd <path>', 'Working directory', process.cwd());
+  
+  addConfigSourceOptions(program)
+    .option('--json', 'Print status as JSON')
+    .option('--lines <n>', 'Number of cloudflared log lines to include', '20')
+    .option('--verbose', 'Enable verbose logging')
+    .option('--log-file <path>', 'Log file path (default: .runner-data/logs/cloudflared-tunnel.log)');
+  
+  return program;
+}
+
 async function runTunnelStart(options) {
   const startTime = Date.now();
   
   try {
-    const config = parseInput();
-    
-    if (options.cwd) {
-      config.cwd = path.resolve(options.cwd);
+    const config = parseConfigFromOptions(options);
+    if (options.ephemeral) {
+      config.ephemeral = true;
+    }
+    if (options.configMode) {
+      config.configMode = options.configMode;
+    }
+    if (options.dnsConflict) {
+      config.dnsConflict = options.dnsConflict;
+    }
+    if (options.accessServiceToken) {
+      config.accessServiceToken = true;
     }
     
     const logFile = options.logFile || path.join(getLogsDir(config.cwd), 'cloudflared-tunnel.log');
@@ -50,7 +123,7 @@ async function runTunnelStart(options) {
     logger.info(`Working directory: ${config.cwd}`);
     logger.info(`Log file: ${logFile}`);
     
-    logger.logConfig(config, ['apiKey', 'tunnelToken']);
+    logger.logConfig(config, ['apiKey', 'apiToken', 'tunnelToken']);
     const status = reportConfigStatus(config);
     logger.info(`Config present: ${status.present.join(', ') || 'none'}`);
     logger.info(`Config missing: ${status.missing.join(', ') || 'none'}`);
@@ -62,6 +135,14 @@ async function runTunnelStart(options) {
     const planResult = plan(config, logger);
 
     const manager = new TunnelManager({ ...config, plan: planResult }, logger);
+    
+    if (options.dryRun) {
+      await manager.dryRun();
+      logger.section('Execution Summary');
+      logger.success('Dry run completed - no changes were made');
+      process.exit(0);
+    }
+    
     await manager.execute();
     
     const report = manager.generateReport();
@@ -77,6 +158,120 @@ async function runTunnelStart(options) {
   }
 }
 
+async function runTunnelStop(options) {
+  try {
+    const config = parseConfigFromOptions(options);
+    if (options.deleteResources) {
+      config.deleteResources = true;
+    }
+    
+    const logFile = options.logFile || path.join(getLogsDir(config.cwd), 'cloudflared-tunnel.log');
+    
+    logger.init(packageJson.name, packageJson.version, {
+      verbose: options.verbose,
+      quiet: options.quiet,
+      logFile,
+      commandName: 'cloudflared-tunnel-stop'
+    });
+    
+    logger.section('Cloudflare Tunnel Manager');
+    logger.info(`Version: ${packageJson.version}`);
+    logger.info('Command: cloudflared-tunnel-stop');
+    logger.info(`Date: ${getVietnamDate()}`);
+    logger.info(`Working directory: ${config.cwd}`);
+    
+    const stopper = new TunnelStopper(config, logger);
+    const report = await stopper.execute();
+    
+    logger.section('Execution Summary');
+    report.tunnels
+      .filter(tunnel => tunnel.stopped)
+      .forEach(tunnel => logger.success(`Tunnel ${tunnel.tunnelName || '-'} stopped (PID: ${tunnel.pid})`));
+    if (!report.stopped) {
+      logger.info('No running tunnel was found, runtime files cleaned up');
+    }
+    if (report.deletedResources) {
+      logger.success(`Deleted resources: ${report.deletedResources.accessServiceTokens.length} Access service token(s), ${report.deletedResources.dnsRecords.length} DNS record(s), ${report.deletedResources.restoredDnsRecords.length} restored DNS record(s), ${report.deletedResources.accessApps.length} Access application(s), ${report.deletedResources.tunnels.length} tunnel(s)`);
+    }
+    
+    process.exit(0);
+  } catch (error) {
+    handleError(error, logger);
+  }
+}
+
+function printTunnelStatus(status) {
+  const rows = [
+    ['Status', status.status.toUpperCase()],
+    ['Tunnel', status.tunnel.name ? `${status.tunnel.name} (${status.tunnel.id || 'unknown ID'})` : '-'],
+    ['Started at', status.tunnel.startedAt || '-'],
+    ['PID', status.process.pid ? `${status.process.pid} (${status.process.running ? 'running' : 'not running'})` : '-'],
+    ['Connectors', status.connections.checked ? String(status.connections.count) : `unknown (${status.connections.reason})`],
+    ['Log file', status.files.logFile]
+  ];
+  const labelWidth = Math.max(...rows.map(([label]) => label.length));
+  rows.forEach(([label, value]) => console.log(`${label.padEnd(labelWidth)}  ${value}`));
+  
+  if (status.connections.connectors.length > 0) {
+    console.log('');
+    console.log('Connections:');
+    status.connections.connectors.forEach((conn) => {
+      console.log(`  ${conn.colo || '?'}  ${conn.originIp || '-'}  ${conn.version || '-'}  ${conn.openedAt || '-'}`);
+    });
+  }
+  
+  console.log('');
+  console.log('Services:');
+  if (status.services.length === 0) {
+    console.log('  (none recorded)');
+  }
+  status.services.forEach((service) => {
+    console.log(`  ${service.hostname}${service.path ? ` (path ${service.path})` : ''} -> ${service.service}`);
+  });
+  
+  if (status.logTail.length > 0) {
+    console.log('');
+    console.log(`Last ${status.logTail.length} log line(s):`);
+    status.logTail.forEach((line) => console.log(`  ${line}`));
+  }
+}
+
+function printStatusTable(status) {
+  console.log(`Overall status: ${status.status.toUpperCase()} (${status.tunnels.length} tunnel(s))`);
+  status.tunnels.forEach((tunnelStatus) => {
+    console.log('');
+    printTunnelStatus(tunnelStatus);
+  });
+}
+
+async function runTunnelStatus(options) {
+  try {
+    const config = parseConfigFromOptions(options);
+    
+    const logFile = options.logFile || path.join(getLogsDir(config.cwd), 'cloudflared-tunnel.log');
+    
+    logger.init(packageJson.name, packageJson.version, {
+      verbose: options.verbose && !options.json,
+      quiet: !options.verbose || options.json,
+      logFile,
+      commandName: 'cloudflared-tunnel-status'
+    });
+    
+    const tunnelStatus = new TunnelStatus(config, logger);
+    const status = await tunnelStatus.collect({ lines: parseInt(options.lines, 10) || 0 });
+    
+    if (options.json) {
+      console.log(JSON.stringify(status, null, 2));
+    } else {
+      printStatusTable(status);
+    }
+    
+    process.exit(status.status === TunnelStatus.STATUS_UP ? 0 : 1);
+  } catch (error) {
+    handleError(error, logger);
+  }
+}
+
 async function execute(argv = process.argv) {
   const program = createProgram();
   
@@ -87,8 +282,34 @@ async function execute(argv = process.argv) {
   await program.parseAsync(argv);
 }
 
+async function executeStop(argv = process.argv) {
+  const program = createStopProgram();
+  
+  program.action(async (options) => {
+    await runTunnelStop(options);
+  });
+  
+  await program.parseAsync(argv);
+}
+
+async function executeStatus(argv = process.argv) {
+  const program = createStatusProgram();
+  
+  program.action(async (options) => {
+    await runTunnelStatus(options);
+  });
+  
+  await program.parseAsync(argv);
+}
+
 module.exports = {
   createProgram,
+  createStopProgram,
+  createStatusProgram,
   execute,
-  runTunnelStart
+  executeStop,
+  executeStatus,
+  runTunnelStart,
+  runTunnelStop,
+  runTunnelStatus
 };
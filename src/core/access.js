@@ -0,0 +1,157 @@
+const { ConfigError } = require('../utils/errors');
+
+/**
+ * Cloudflare Access protection of exposed hostnames
+ * A service with access settings gets a self-hosted Access application whose policies
+ * allow the configured emails, email domains and service tokens
+ */
+
+const ACCESS_OPTIONS = {
+  emails: 'email',
+  emailDomains: 'domain',
+  serviceTokens: 'token'
+};
+
+const ENV_KEYS = {
+  emails: 'emails',
+  email: 'emails',
+  domains: 'emailDomains',
+  emailDomains: 'emailDomains',
+  serviceTokens: 'serviceTokens',
+  tokens: 'serviceTokens'
+};
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+/**
+ * Parse a "key=value;value,key=value" access list from env
+ *   emails=alice@example.com;bob@example.com,domains=example.com,serviceTokens=<token ID>
+ * @param {string} value - Env value
+ * @param {string} label - Env variable name for error messages
+ * @returns {object} Raw settings
+ */
+function parseAccessEnv(value, label) {
+  const settings = {};
+  String(value).split(',').forEach((pair) => {
+    if (!pair.trim()) return;
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      throw new ConfigError(`Invalid access setting in ${label}: "${pair.trim()}". Expected key=value`);
+    }
+    const key = pair.slice(0, separator).trim();
+    settings[ENV_KEYS[key] || key] = pair.slice(separator + 1).split(';');
+  });
+  return settings;
+}
+
+/**
+ * Normalize raw settings (env lists or config file values) to trimmed, de-duplicated lists
+ * Invalid values are kept as-is and reported by validateAccess()
+ * @param {object} settings - Raw settings
+ * @returns {object|null} Access settings, null when none are set
+ */
+function coerceAccess(settings) {
+  if (!settings || Object.keys(settings).length === 0) return null;
+  const coerced = {};
+  Object.keys(settings).forEach((key) => {
+    const value = settings[key];
+    if (!ACCESS_OPTIONS[key] || (typeof value !== 'string' && !Array.isArray(value))) {
+      coerced[key] = value;
+      return;
+    }
+    const list = (Array.isArray(value) ? value : value.split(/[;,]/))
+      .map(item => String(item).trim())
+      .filter(Boolean)
+      .map(item => (key === 'serviceTokens' ? item : item.toLowerCase()));
+    coerced[key] = Array.from(new Set(list));
+  });
+  return coerced;
+}
+
+/**
+ * Validate coerced access settings
+ * @param {object|null} access - Access settings
+ * @returns {string[]} Errors prefixed with the setting name
+ */
+function validateAccess(access) {
+  if (!access) return [];
+  const errors = [];
+  Object.keys(access).forEach((key) => {
+    const value = access[key];
+    const type = ACCESS_OPTIONS[key];
+    if (!type) {
+      errors.push(`${key}: unknown access setting (supported: ${Object.keys(ACCESS_OPTIONS).join(', ')})`);
+    } else if (!Array.isArray(value)) {
+      errors.push(`${key}: expected a list, got ${JSON.stringify(value)}`);
+    } else {
+      value.forEach((item) => {
+        if (type === 'email' && !EMAIL_PATTERN.test(item)) errors.push(`${key}: invalid email ${item}`);
+        if (type === 'domain' && !DOMAIN_PATTERN.test(item)) errors.push(`${key}: invalid email domain ${item}`);
+      });
+    }
+  });
+  if (errors.length === 0 && Object.keys(ACCESS_OPTIONS).every(key => !(access[key] || []).length)) {
+    errors.push('at least one of emails, emailDomains or serviceTokens is required');
+  }
+  return errors;
+}
+
+/**
+ * Stable key of access settings, used to check that rules of one hostname agree
+ * @param {object|null} access - Access settings
+ * @returns {string} Key
+ */
+function accessKey(access) {
+  if (!access) return '';
+  return JSON.stringify(Object.keys(ACCESS_OPTIONS).map(key => (access[key] || []).slice().sort()));
+}
+
+/**
+ * Build the Access policies of an application
+ * People (emails, email domains) get an allow policy, service tokens a Service Auth (non_identity) policy
+ * @param {object} access - Access settings
+ * @param {string} hostname - Protected hostname, used in policy names
+ * @returns {object[]} Policies for the Access API
+ */
+function buildAccessPolicies(access, hostname) {
+  const policies = [];
+  const people = [
+    ...(access.emails || []).map(email => ({ email: { email } })),
+    ...(access.emailDomains || []).map(domain => ({ email_domain: { domain } }))
+  ];
+  if (people.length > 0) {
+    policies.push({ name: `${hostname} allowed users`, decision: 'allow', include: people });
+  }
+  if ((access.serviceTokens || []).length > 0) {
+    policies.push({
+      name: `${hostname} service tokens`,
+      decision: 'non_identity',
+      include: access.serviceTokens.map(tokenId => ({ service_token: { token_id: tokenId } }))
+    });
+  }
+  return policies.map((policy, index) => ({ ...policy, precedence: index + 1 }));
+}
+
+/**
+ * One-line description of access settings for logs and plan output
+ * @param {object} access - Access settings
+ * @returns {string} Description
+ */
+function describeAccess(access) {
+  const parts = [];
+  if ((access.emails || []).length) parts.push(`${access.emails.length} email(s)`);
+  if ((access.emailDomains || []).length) parts.push(`domains ${access.emailDomains.join(', ')}`);
+  if ((access.serviceTokens || []).length) parts.push(`${access.serviceTokens.length} service token(s)`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  ACCESS_OPTIONS,
+  parseAccessEnv,
+  coerceAccess,
+  validateAccess,
+  accessKey,
+  buildAccessPolicies,
+  describeAccess
+};
@@ -1,54 +1,169 @@
 const httpAdapter = require('../adapters/http-adapter');
 const { CloudflareApiError } = require('../utils/errors');
+const { isZoneId, findZoneForHostname } = require('./zone-match');
+
+// Policy that applies to conflicting records: auto updates a single CNAME left pointing at another tunnel
+// (e.g. by an earlier run) and keeps everything else, like earlier versions did
+function resolveDnsConflictPolicy(conflict, records) {
+  if (conflict !== 'auto') return conflict;
+  const tunnelCname = records.length === 1 && records[0].type === 'CNAME' && /\.cfargotunnel\.com$/i.test(records[0].content);
+  return tunnelCname ? 'update' : 'skip';
+}
+
+// Remotely managed tunnels take their ingress from the configurations API, locally managed ones from config.yml
+function isRemotelyManaged(tunnel) {
+  return !!tunnel && (tunnel.remote_config === true || tunnel.config_src === 'cloudflare');
+}
 
 class CloudflareClient {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
     this.apiKey = config.apiKey;
+    this.apiToken = config.apiToken;
     this.email = config.email;
     this.accountId = config.accountId;
+    this.zonesPromise = null;
   }
   
-  getRequestOptions() {
+  // extra: per-request options such as recover() for non-idempotent writes
+  getRequestOptions(extra = {}) {
     return {
       apiKey: this.apiKey,
+      apiToken: this.apiToken,
       email: this.email,
       accountId: this.accountId,
-      logger: this.logger
+      logger: this.logger,
+      ...extra
     };
   }
   
-  async listTunnels() {
-    this.logger.logApiCall('GET', `/accounts/${this.accountId}/cfd_tunnel`);
+  usesApiToken() {
+    return !!this.apiToken;
+  }
+  
+  async verifyToken() {
+    this.logger.logApiCall('GET', '/user/tokens/verify');
+    try {
+      const response = await httpAdapter.get('/user/tokens/verify', this.getRequestOptions());
+      return { ...response.result, owner: 'user' };
+    } catch (error) {
+      if (!(error instanceof CloudflareApiError) || !this.accountId) throw error;
+    }
+    
+    // Account-owned tokens are verified under the account
+    this.logger.logApiCall('GET', `/accounts/${this.accountId}/tokens/verify`);
     const response = await httpAdapter.get(
-      `/accounts/${this.accountId}/cfd_tunnel`,
+      `/accounts/${this.accountId}/tokens/verify`,
       this.getRequestOptions()
     );
-    return response.result || [];
+    return { ...response.result, owner: 'account' };
+  }
+  
+  async getTokenPolicies(token) {
+    const endpoint = token.owner === 'account'
+      ? `/accounts/${this.accountId}/tokens/${token.id}`
+      : `/user/tokens/${token.id}`;
+    this.logger.logApiCall('GET', endpoint);
+    try {
+      const response = await httpAdapter.get(endpoint, this.getRequestOptions());
+      return response.result?.policies || [];
+    } catch (error) {
+      // Reading token details needs the "API Tokens Read" permission, most scoped tokens lack it
+      if (error instanceof CloudflareApiError) return null;
+      throw error;
+    }
+  }
+  
+  // Async iterator over every page of a list endpoint; params are server-side filters
+  iterate(endpoint, params = {}, options = {}) {
+    this.logger.logApiCall('GET', httpAdapter.withQuery(endpoint, params));
+    return httpAdapter.paginate(endpoint, {
+      ...this.getRequestOptions(),
+      ...options,
+      params,
+      onTruncated: ({ pages, fetched, total }) => {
+        this.logger.warn(
+          `Results of ${endpoint} truncated after ${pages} page(s): ${fetched}${total ? ` of ${total}` : ''} fetched, ` +
+          'lookups may miss existing resources'
+        );
+      }
+    });
+  }
+  
+  // All results of a list endpoint; options.limit stops early without a truncation warning
+  async listAll(endpoint, params = {}, options = {}) {
+    const { limit = Infinity, ...paginationOptions } = options;
+    const results = [];
+    for await (const item of this.iterate(endpoint, params, paginationOptions)) {
+      results.push(item);
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+  
+  async listTunnels(filters = {}, options = {}) {
+    return this.listAll(`/accounts/${this.accountId}/cfd_tunnel`, { is_deleted: false, ...filters }, options);
   }
   
   async getTunnelByName(name) {
-    const tunnels = await this.listTunnels();
+    const tunnels = await this.listTunnels({ name });
     return tunnels.find(t => t.name === name) || null;
   }
   
-  async createTunnel(name) {
+  // remote: create a remotely managed tunnel (config_src cloudflare), the API default is locally managed
+  async createTunnel(name, options = {}) {
+    const { remote = false } = options;
     const tunnelSecret = this.generateTunnelSecret();
-    this.logger.logApiCall('POST', `/accounts/${this.accountId}/cfd_tunnel`, { name });
-    this.logger.info(`Creating tunnel: ${name}`);
+    const startedAt = Date.now();
+    this.logger.logApiCall('POST', `/accounts/${this.accountId}/cfd_tunnel`, { name, ...(remote ? { config_src: 'cloudflare' } : {}) });
+    this.logger.info(`Creating tunnel: ${name}${remote ? ' (remotely managed)' : ''}`);
     
     const response = await httpAdapter.post(
       `/accounts/${this.accountId}/cfd_tunnel`,
       {
         name,
-        tunnel_secret: tunnelSecret
+        tunnel_secret: tunnelSecret,
+        ...(remote ? { config_src: 'cloudflare' } : {})
       },
+      // A tunnel that appeared despite the failure is only this request's (with this secret) when it is not older
+      // than the request; an older one was created by a concurrent job with the same tunnel name
+      this.getRequestOptions({
+        recover: async () => {
+          const tunnel = await this.getTunnelByName(name);
+          return tunnel ? { ...tunnel, ownRequest: Date.parse(tunnel.created_at) >= startedAt } : null;
+        }
+      })
+    );
+    
+    const { ownRequest, ...tunnel } = response.result;
+    if (response.recovered && !ownRequest) {
+      this.logger.warn(`Tunnel ${name} was created by another job meanwhile (ID: ${tunnel.id}), reusing it`);
+      return { ...tunnel, tunnelSecret: null, created: false };
+    }
+    this.logger.success(`Tunnel created: ${name} (ID: ${tunnel.id})`);
+    return { ...tunnel, tunnelSecret, created: true };
+  }
+
+  async cleanupTunnelConnections(tunnelId) {
+    this.logger.logApiCall('DELETE', `/accounts/${this.accountId}/cfd_tunnel/${tunnelId}/connections`);
+    await httpAdapter.del(
+      `/accounts/${this.accountId}/cfd_tunnel/${tunnelId}/connections`,
+      this.getRequestOptions()
+    );
+  }
+
+  async deleteTunnel(tunnelId) {
+    this.logger.logApiCall('DELETE', `/accounts/${this.accountId}/cfd_tunnel/${tunnelId}`);
+    this.logger.info(`Deleting tunnel: ${tunnelId}`);
+    
+    const response = await httpAdapter.del(
+      `/accounts/${this.accountId}/cfd_tunnel/${tunnelId}`,
       this.getRequestOptions()
     );
     
-    this.logger.success(`Tunnel created: ${name} (ID: ${response.result.id})`);
-    return { ...response.result, tunnelSecret };
+    this.logger.success(`Tunnel deleted: ${tunnelId}`);
+    return response.result;
   }
   
   async getTunnelToken(tunnelId) {
@@ -69,27 +184,48 @@ class CloudflareClient {
     return response.result || [];
   }
   
-  async getOrCreateTunnel(name) {
+  async getTunnelConfiguration(tunnelId) {
+    this.logger.logApiCall('GET', `/accounts/${this.accountId}/cfd_tunnel/${tunnelId}/configurations`);
+    const response = await httpAdapter.get(
+      `/accounts/${this.accountId}/cfd_tunnel/${tunnelId}/configurations`,
+      this.getRequestOptions()
+    );
+    return response.result?.config || null;
+  }
+  
+  async updateTunnelConfiguration(tunnelId, config) {
+    this.logger.logApiCall('PUT', `/accounts/${this.accountId}/cfd_tunnel/${tunnelId}/configurations`, { config });
+    const response = await httpAdapter.put(
+      `/accounts/${this.accountId}/cfd_tunnel/${tunnelId}/configurations`,
+      { config },
+      this.getRequestOptions()
+    );
+    return response.result?.config || config;
+  }
+  
+  async getOrCreateTunnel(name, options = {}) {
     let tunnel = await this.getTunnelByName(name);
     if (tunnel) {
       this.logger.info(`Tunnel already exists: ${name} (ID: ${tunnel.id})`);
-      return { ...tunnel, tunnelSecret: null };
+      return { ...tunnel, tunnelSecret: null, created: false };
     }
-    return await this.createTunnel(name);
+    return await this.createTunnel(name, options);
   }
   
-  async listDnsRecords(zoneId) {
-    this.logger.logApiCall('GET', `/zones/${zoneId}/dns_records`);
-    const response = await httpAdapter.get(
-      `/zones/${zoneId}/dns_records`,
-      this.getRequestOptions()
-    );
-    return response.result || [];
+  async listDnsRecords(zoneId, filters = {}, options = {}) {
+    return this.listAll(`/zones/${zoneId}/dns_records`, filters, options);
   }
   
+  async getDnsRecordsByName(zoneId, name) {
+    // Wildcards are stored literally (*.dev.example.com), so only an exact match is the same record
+    const records = await this.listDnsRecords(zoneId, { name: name.toLowerCase() });
+    const wanted = name.toLowerCase();
+    return records.filter(r => r.name.toLowerCase() === wanted);
+  }
+
   async getDnsRecordByName(zoneId, name) {
-    const records = await this.listDnsRecords(zoneId);
-    return records.find(r => r.name === name) || null;
+    const records = await this.getDnsRecordsByName(zoneId, name);
+    return records[0] || null;
   }
   
   async createDnsRecord(zoneId, recordData) {
@@ -99,63 +235,302 @@ class CloudflareClient {
     const response = await httpAdapter.post(
       `/zones/${zoneId}/dns_records`,
       recordData,
-      this.getRequestOptions()
+      this.getRequestOptions({
+        recover: async () => {
+          const records = await this.getDnsRecordsByName(zoneId, recordData.name);
+          return records.find(r => r.type === recordData.type && r.content === recordData.content) || null;
+        }
+      })
     );
     
     this.logger.success(`DNS record created: ${recordData.name}`);
     return response.result;
   }
+
+  async updateDnsRecord(zoneId, recordId, recordData) {
+    this.logger.logApiCall('PATCH', `/zones/${zoneId}/dns_records/${recordId}`, recordData);
+    this.logger.info(`Updating DNS record: ${recordData.name}`);
+    
+    // Sets absolute values, so sending it twice is harmless
+    const response = await httpAdapter.patch(
+      `/zones/${zoneId}/dns_records/${recordId}`,
+      recordData,
+      this.getRequestOptions({ idempotent: true })
+    );
+    
+    this.logger.success(`DNS record updated: ${recordData.name}`);
+    return response.result;
+  }
+
+  async deleteDnsRecord(zoneId, recordId) {
+    this.logger.logApiCall('DELETE', `/zones/${zoneId}/dns_records/${recordId}`);
+    
+    const response = await httpAdapter.del(
+      `/zones/${zoneId}/dns_records/${recordId}`,
+      this.getRequestOptions()
+    );
+    
+    return response.result;
+  }
+  
+  // Zones of the account, listed once per client (i.e. per run)
+  async listZones() {
+    if (!this.zonesPromise) {
+      const params = this.accountId ? { 'account.id': this.accountId } : {};
+      this.zonesPromise = this.listAll('/zones', params, { perPage: 50 }).catch((error) => {
+        this.zonesPromise = null;
+        throw error;
+      });
+    }
+    return this.zonesPromise;
+  }
   
-  async getZoneIdByDomain(domain) {
-    if (this.config.zoneId) {
-      this.logger.info(`Using configured Zone ID: ${this.config.zoneId}`);
+  // zone: per-service zone name or ID; otherwise CLOUDFLARED_ZONE_ID, CLOUDFLARED_ZONE_NAME
+  // or the longest account zone that is a suffix of the hostname
+  async getZoneIdByDomain(hostname, zone = '') {
+    if (zone && isZoneId(zone)) {
+      return zone;
+    }
+    if (!zone && this.config.zoneId) {
+      this.logger.verbose(`Using configured Zone ID: ${this.config.zoneId}`);
       return this.config.zoneId;
     }
 
-    this.logger.logApiCall('GET', '/zones');
-    const response = await httpAdapter.get('/zones', this.getRequestOptions());
-    const zones = response.result || [];
-
-    if (this.config.zoneName) {
-      const zoneByName = zones.find(z => z.name === this.config.zoneName);
+    const zones = await this.listZones();
+    const zoneName = (zone || this.config.zoneName || '').toLowerCase();
+    if (zoneName) {
+      const zoneByName = zones.find(z => z.name.toLowerCase() === zoneName);
+      if (!zoneByName) {
+        this.logger.warn(`Zone ${zoneName} not found in account`);
+      }
       return zoneByName ? zoneByName.id : null;
     }
 
-    const parts = domain.split('.');
-    const rootDomain = parts.slice(-2).join('.');
-    const zone = zones.find(z => z.name === rootDomain);
-
-    if (!zone) {
-      this.logger.warn(`Unable to resolve zone using root domain guess: ${rootDomain}`);
+    const match = findZoneForHostname(zones, hostname);
+    if (!match) {
+      this.logger.warn(`No zone in the account matches ${hostname}`);
+      return null;
     }
-
-    return zone ? zone.id : null;
+    this.logger.verbose(`Resolved zone ${match.name} for ${hostname}`);
+    return match.id;
   }
   
-  async getOrCreateDnsRecord(hostname, tunnelId) {
-    const parts = hostname.split('.');
-    const domain = parts.slice(-2).join('.');
-    
-    const zoneId = await this.getZoneIdByDomain(domain);
+  async lookupDnsRecord(hostname, zone = '') {
+    const zoneId = await this.getZoneIdByDomain(hostname, zone);
     if (!zoneId) {
-      throw new CloudflareApiError(`Zone not found for domain: ${domain}`, 404);
-    }
-    
-    const existingRecord = await this.getDnsRecordByName(zoneId, hostname);
-    if (existingRecord) {
-      this.logger.info(`DNS record already exists: ${hostname}`);
-      return existingRecord;
+      throw new CloudflareApiError(`Zone not found for hostname: ${hostname}${zone ? ` (zone ${zone})` : ''}`, 404);
     }
     
-    return await this.createDnsRecord(zoneId, {
+    const records = await this.getDnsRecordsByName(zoneId, hostname);
+    return { zoneId, record: records[0] || null, records };
+  }
+  
+  // Fields needed to put an overwritten record back (see TunnelStopper.restoreDnsRecord)
+  snapshotDnsRecord(record) {
+    const snapshot = {};
+    ['type', 'name', 'content', 'proxied', 'ttl', 'priority', 'data', 'comment', 'tags'].forEach((key) => {
+      if (record[key] !== undefined && record[key] !== null) snapshot[key] = record[key];
+    });
+    return snapshot;
+  }
+
+  // conflict: what to do when the name already has records other than the tunnel CNAME
+  //   auto - update a single CNAME to another tunnel (*.cfargotunnel.com), skip anything else
+  //   skip - keep them, update - patch the record in place, replace - delete and recreate, fail - throw
+  // Overwritten records are returned as previous, so stop can restore them
+  // zone: per-service zone override, see getZoneIdByDomain()
+  async getOrCreateDnsRecord(hostname, tunnelId, options = {}) {
+    const { conflict = 'auto', zone = '' } = options;
+    const { zoneId, records } = await this.lookupDnsRecord(hostname, zone);
+    const desired = {
       type: 'CNAME',
       name: hostname,
       content: `${tunnelId}.cfargotunnel.com`,
       proxied: true,
       ttl: 1
+    };
+    
+    const matching = records.find(r => r.type === 'CNAME' && r.content.toLowerCase() === desired.content);
+    if (matching) {
+      this.logger.info(`DNS record already exists: ${hostname}`);
+      return { ...matching, zoneId, created: false, action: 'noop' };
+    }
+    
+    if (records.length > 0) {
+      const found = records.map(r => `${r.type} ${r.content}`).join(', ');
+      const message = `DNS record conflict for ${hostname}: found ${found}, expected CNAME ${desired.content}`;
+      const previous = records.map(r => this.snapshotDnsRecord(r));
+      const policy = resolveDnsConflictPolicy(conflict, records);
+      
+      if (policy === 'skip') {
+        this.logger.warn(`${message}; keeping the existing record (CLOUDFLARED_DNS_CONFLICT=${conflict})`);
+        return { ...records[0], zoneId, created: false, action: 'skip' };
+      }
+      if (policy === 'update') {
+        if (records.length > 1) {
+          throw new CloudflareApiError(`${message}; ${records.length} records cannot be updated into one CNAME, use CLOUDFLARED_DNS_CONFLICT=replace`, 409, { dnsConflict: true, records });
+        }
+        const record = await this.updateDnsRecord(zoneId, records[0].id, desired);
+        return { ...record, zoneId, created: false, action: 'update', previous };
+      }
+      if (policy === 'replace') {
+        for (const existing of records) {
+          await this.deleteDnsRecord(zoneId, existing.id);
+        }
+        const record = await this.createDnsRecord(zoneId, desired);
+        return { ...record, zoneId, created: true, action: 'replace', previous };
+      }
+      throw new CloudflareApiError(`${message}. Set CLOUDFLARED_DNS_CONFLICT to skip, update or replace to proceed`, 409, { dnsConflict: true, records });
+    }
+    
+    if (hostname.startsWith('*.')) {
+      this.logger.info(`Creating wildcard CNAME for every subdomain of ${hostname.slice(2)} without its own record`);
+    }
+    const record = await this.createDnsRecord(zoneId, desired);
+    return { ...record, zoneId, created: true, action: 'create' };
+  }
+  
+  async listAccessApps(filters = {}, options = {}) {
+    return this.listAll(`/accounts/${this.accountId}/access/apps`, filters, options);
+  }
+  
+  async getAccessAppByDomain(domain) {
+    const apps = await this.listAccessApps({ domain });
+    const wanted = domain.toLowerCase();
+    return apps.find(app => (app.domain || '').toLowerCase() === wanted) || null;
+  }
+  
+  async createAccessApp(appData) {
+    this.logger.logApiCall('POST', `/accounts/${this.accountId}/access/apps`, appData);
+    this.logger.info(`Creating Access application: ${appData.domain}`);
+    
+    const response = await httpAdapter.post(
+      `/accounts/${this.accountId}/access/apps`,
+      appData,
+      this.getRequestOptions({ recover: () => this.getAccessAppByDomain(appData.domain) })
+    );
+    
+    this.logger.success(`Access application created: ${appData.domain}`);
+    return response.result;
+  }
+  
+  async createAccessPolicy(appId, policyData) {
+    this.logger.logApiCall('POST', `/accounts/${this.accountId}/access/apps/${appId}/policies`, policyData);
+    
+    const response = await httpAdapter.post(
+      `/accounts/${this.accountId}/access/apps/${appId}/policies`,
+      policyData,
+      this.getRequestOptions({
+        recover: async () => (await this.listAccessPolicies(appId)).find(p => p.name === policyData.name) || null
+      })
+    );
+    
+    return response.result;
+  }
+  
+  async deleteAccessApp(appId) {
+    this.logger.logApiCall('DELETE', `/accounts/${this.accountId}/access/apps/${appId}`);
+    
+    const response = await httpAdapter.del(
+      `/accounts/${this.accountId}/access/apps/${appId}`,
+      this.getRequestOptions()
+    );
+    
+    return response.result;
+  }
+  
+  async listAccessPolicies(appId) {
+    return this.listAll(`/accounts/${this.accountId}/access/apps/${appId}/policies`);
+  }
+  
+  async deleteAccessPolicy(appId, policyId) {
+    this.logger.logApiCall('DELETE', `/accounts/${this.accountId}/access/apps/${appId}/policies/${policyId}`);
+    
+    const response = await httpAdapter.del(
+      `/accounts/${this.accountId}/access/apps/${appId}/policies/${policyId}`,
+      this.getRequestOptions()
+    );
+    
+    return response.result;
+  }
+  
+  // Service Auth policy for one service token, after the application's existing policies
+  async addServiceTokenPolicy(appId, tokenId, name) {
+    const policies = await this.listAccessPolicies(appId);
+    const precedence = policies.reduce((max, policy) => Math.max(max, policy.precedence || 0), 0) + 1;
+    return this.createAccessPolicy(appId, {
+      name,
+      decision: 'non_identity',
+      include: [{ service_token: { token_id: tokenId } }],
+      precedence
     });
   }
   
+  async listAccessServiceTokens(filters = {}, options = {}) {
+    return this.listAll(`/accounts/${this.accountId}/access/service_tokens`, filters, options);
+  }
+  
+  // The client secret is only returned here, it cannot be read again later
+  async createAccessServiceToken(name, duration) {
+    this.logger.logApiCall('POST', `/accounts/${this.accountId}/access/service_tokens`, { name, duration });
+    this.logger.info(`Creating Access service token: ${name}`);
+    
+    // The secret of a token created by a failed request is lost, so such a token is deleted and the request sent again
+    const response = await httpAdapter.post(
+      `/accounts/${this.accountId}/access/service_tokens`,
+      { name, duration },
+      this.getRequestOptions({
+        recover: async () => {
+          const orphans = (await this.listAccessServiceTokens({ name })).filter(t => t.name === name);
+          for (const orphan of orphans) {
+            await this.deleteAccessServiceToken(orphan.id);
+          }
+          return null;
+        }
+      })
+    );
+    
+    this.logger.success(`Access service token created: ${name} (ID: ${response.result.id})`);
+    return response.result;
+  }
+  
+  async deleteAccessServiceToken(tokenId) {
+    this.logger.logApiCall('DELETE', `/accounts/${this.accountId}/access/service_tokens/${tokenId}`);
+    
+    const response = await httpAdapter.del(
+      `/accounts/${this.accountId}/access/service_tokens/${tokenId}`,
+      this.getRequestOptions()
+    );
+    
+    return response.result;
+  }
+  
+  // An existing application for the hostname is reused as-is, its policies are not touched
+  async getOrCreateAccessApp(hostname, policies) {
+    const existing = await this.getAccessAppByDomain(hostname);
+    if (existing) {
+      this.logger.info(`Access application already exists: ${hostname} (ID: ${existing.id})`);
+      return { ...existing, created: false };
+    }
+    
+    const app = await this.createAccessApp({
+      name: hostname,
+      domain: hostname,
+      type: 'self_hosted',
+      session_duration: '24h'
+    });
+    try {
+      for (const policy of policies) {
+        await this.createAccessPolicy(app.id, policy);
+      }
+    } catch (error) {
+      // Do not leave a half-configured application behind
+      await this.deleteAccessApp(app.id).catch(() => {});
+      throw error;
+    }
+    return { ...app, created: true };
+  }
+  
   generateTunnelSecret() {
     const crypto = require('crypto');
     const secret = crypto.randomBytes(32);
@@ -163,4 +538,7 @@ class CloudflareClient {
   }
 }
 
+CloudflareClient.resolveDnsConflictPolicy = resolveDnsConflictPolicy;
+CloudflareClient.isRemotelyManaged = isRemotelyManaged;
+
 module.exports = CloudflareClient;
@@ -0,0 +1,226 @@
+const path = require('path');
+const { readText } = require('../adapters/fs-adapter');
+const { parse: parseYaml } = require('../utils/yaml');
+const { ConfigError } = require('../utils/errors');
+const { coerceOriginRequest } = require('./origin-request');
+const { coerceAccess } = require('./access');
+const { parseOrigin, classifyService, SERVICE_TYPE_NETWORK } = require('./tunnel-entry');
+
+/**
+ * Declarative config file (cloudflared-tunnel.yml / .json)
+ * Alternative to CLOUDFLARED_TUNNEL_N env vars, merged by parseInput()
+ */
+
+const FILE_OPTIONS = {
+  version: 'integer',
+  accountId: 'string',
+  email: 'string',
+  zoneId: 'string',
+  zoneName: 'string',
+  cloudflaredPath: 'string',
+  logLevel: 'string',
+  timeout: 'integer',
+  verifyRetries: 'integer',
+  verifyDelay: 'integer',
+  stopTimeout: 'integer',
+  deleteResources: 'boolean',
+  ephemeral: 'boolean',
+  fallback: 'string',
+  configMode: 'string',
+  dnsConflict: 'string',
+  accessServiceToken: 'boolean',
+  accessServiceTokenDuration: 'string',
+  originRequest: 'object',
+  tunnel: 'string',
+  services: 'array',
+  tunnels: 'array'
+};
+
+const SECRET_KEYS = {
+  apiKey: 'CLOUDFLARED_API_KEY',
+  apiToken: 'CLOUDFLARED_API_TOKEN',
+  tunnelToken: 'CLOUDFLARED_TUNNEL_TOKEN'
+};
+
+const TUNNEL_KEYS = {
+  name: 'string',
+  services: 'array'
+};
+
+const SERVICE_KEYS = {
+  tunnel: 'string',
+  hostname: 'string',
+  path: 'string',
+  origin: 'string',
+  service: 'string',
+  protocol: 'string',
+  ip: 'string',
+  port: 'port',
+  zone: 'string',
+  originRequest: 'object',
+  access: 'object'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'port': return Number.isInteger(value) || (typeof value === 'string' && value !== '');
+    default: return true;
+  }
+}
+
+function checkKeys(object, allowed, keyPath, errors) {
+  Object.keys(object).forEach((key) => {
+    const childPath = keyPath ? `${keyPath}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(allowed, key)) {
+      errors.push(`${childPath}: unknown key`);
+    } else if (object[key] !== null && !matchesType(object[key], allowed[key])) {
+      errors.push(`${childPath}: expected ${allowed[key]}, got ${JSON.stringify(object[key])}`);
+    }
+  });
+}
+
+/**
+ * Load and parse a config file (.yml, .yaml or .json)
+ * @param {string} filePath - Config file path
+ * @returns {object} Parsed document
+ */
+function loadConfigFile(filePath) {
+  const content = readText(filePath);
+  if (content === null) {
+    throw new ConfigError(`Config file not found: ${filePath}`);
+  }
+
+  let doc;
+  try {
+    doc = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : parseYaml(content);
+  } catch (error) {
+    throw new ConfigError(`Failed to parse config file ${filePath}: ${error.message}`);
+  }
+
+  if (doc === null) return {};
+  if (!isPlainObject(doc)) {
+    throw new ConfigError(`Config file ${filePath} must contain a mapping at the top level`);
+  }
+  return doc;
+}
+
+/**
+ * Validate config file structure
+ * @param {object} doc - Parsed document
+ * @returns {string[]} Errors prefixed with the offending key path
+ */
+function validateConfigFile(doc) {
+  const errors = [];
+
+  Object.keys(SECRET_KEYS).forEach((key) => {
+    if (key in doc) {
+      errors.push(`${key}: secrets are not read from config files, use ${SECRET_KEYS[key]}`);
+    }
+  });
+
+  const topLevel = { ...doc };
+  Object.keys(SECRET_KEYS).forEach((key) => delete topLevel[key]);
+  checkKeys(topLevel, FILE_OPTIONS, '', errors);
+
+  if (doc.version !== undefined && doc.version !== 1) {
+    errors.push(`version: unsupported version ${doc.version} (expected 1)`);
+  }
+
+  const validateServices = (services, keyPath) => {
+    if (!Array.isArray(services)) return;
+    services.forEach((service, index) => {
+      const servicePath = `${keyPath}[${index}]`;
+      if (!isPlainObject(service)) {
+        errors.push(`${servicePath}: expected mapping`);
+        return;
+      }
+      checkKeys(service, SERVICE_KEYS, servicePath, errors);
+      if (typeof service.service === 'string' && !classifyService(service.service)) {
+        errors.push(`${servicePath}.service: unknown service ${service.service} (expected unix:<path>, unix+tls:<path>, hello_world, http_status:<code> or bastion; use origin for network origins)`);
+      }
+      if (typeof service.origin === 'string' && !classifyService(service.origin) && !parseOrigin(service.origin)) {
+        errors.push(`${servicePath}.origin: invalid origin URL ${service.origin}`);
+      }
+    });
+  };
+
+  validateServices(doc.services, 'services');
+
+  if (Array.isArray(doc.tunnels)) {
+    doc.tunnels.forEach((tunnel, index) => {
+      const tunnelPath = `tunnels[${index}]`;
+      if (!isPlainObject(tunnel)) {
+        errors.push(`${tunnelPath}: expected mapping`);
+        return;
+      }
+      checkKeys(tunnel, TUNNEL_KEYS, tunnelPath, errors);
+      if (!tunnel.name) errors.push(`${tunnelPath}.name: is required`);
+      validateServices(tunnel.services, `${tunnelPath}.services`);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Flatten services of a config file into tunnel entries
+ * @param {object} doc - Parsed document
+ * @param {string} fileLabel - File name used in entry sources
+ * @returns {object[]} Tunnel entries
+ */
+function getFileEntries(doc, fileLabel) {
+  const entries = [];
+
+  const addServices = (services, tunnelName, keyPath) => {
+    if (!Array.isArray(services)) return;
+    services.forEach((service, index) => {
+      if (!isPlainObject(service)) return;
+      const special = classifyService(service.service || service.origin);
+      const origin = (!special && typeof service.origin === 'string' && parseOrigin(service.origin)) || {};
+      const port = service.port === undefined || service.port === null ? origin.port : service.port;
+      entries.push({
+        index: entries.length + 1,
+        source: `${fileLabel}: ${keyPath}[${index}]`,
+        keyPath: `${fileLabel}: ${keyPath}[${index}]`,
+        name: String(service.tunnel || tunnelName || '').trim(),
+        hostname: String(service.hostname || '').trim(),
+        path: String(service.path || '').trim(),
+        zone: String(service.zone || '').trim(),
+        protocol: special ? '' : String(service.protocol || origin.protocol || '').trim(),
+        ip: special ? '' : String(service.ip || origin.ip || 'localhost').trim().replace(/^\[(.*)\]$/, '$1'),
+        port: special || port === undefined || port === null ? '' : String(port).trim(),
+        type: special ? special.type : SERVICE_TYPE_NETWORK,
+        service: special ? special.service : '',
+        originRequest: isPlainObject(service.originRequest) ? coerceOriginRequest(service.originRequest) : {},
+        access: isPlainObject(service.access) ? coerceAccess(service.access) : null
+      });
+    });
+  };
+
+  addServices(doc.services, doc.tunnel, 'services');
+
+  if (Array.isArray(doc.tunnels)) {
+    doc.tunnels.forEach((tunnel, index) => {
+      if (!isPlainObject(tunnel)) return;
+      addServices(tunnel.services, tunnel.name, `tunnels[${index}].services`);
+    });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  FILE_OPTIONS,
+  loadConfigFile,
+  validateConfigFile,
+  getFileEntries
+};
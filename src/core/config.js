@@ -1,104 +1,484 @@
 const path = require('path');
 const { ValidationError, ConfigError } = require('../utils/errors');
+const { loadConfigFile, validateConfigFile, getFileEntries } = require('./config-file');
+const { parseOriginRequestEnv, coerceOriginRequest, validateOriginRequest } = require('./origin-request');
+const { resolveHostnames, guessZone, validateWildcardHostname } = require('./hostname-template');
+const { decodeTunnelToken } = require('./tunnel-token');
+const { isZoneId, isInZone } = require('./zone-match');
+const { parseAccessEnv, coerceAccess, validateAccess, accessKey } = require('./access');
+const { parseTunnelEntry, SERVICE_TYPE_NETWORK, SERVICE_TYPE_UNIX, SERVICE_TYPE_BUILTIN } = require('./tunnel-entry');
+const { loadEnvFiles } = require('../adapters/env-adapter');
+const { exists } = require('../adapters/fs-adapter');
 
-function parseInput() {
-  const config = {
-    apiKey: process.env.CLOUDFLARED_API_KEY || process.env.CLOUDFLARED_GLOBAL_API_KEY || '',
-    email: process.env.CLOUDFLARED_EMAIL || '',
-    accountId: process.env.CLOUDFLARED_ACCOUNT_ID || '',
-    tunnelToken: process.env.CLOUDFLARED_TUNNEL_TOKEN || '',
-    zoneId: process.env.CLOUDFLARED_ZONE_ID || '',
-    zoneName: process.env.CLOUDFLARED_ZONE_NAME || '',
-    tunnels: [],
-    cwd: process.env.TOOL_CWD || process.env.CLOUDFLARED_CWD || process.cwd(),
-    cloudflaredPath: process.env.CLOUDFLARED_EXE_PATH || '',
-    logLevel: process.env.CLOUDFLARED_LOG_LEVEL || 'info',
-    timeout: parseInt(process.env.CLOUDFLARED_TIMEOUT || '30000', 10),
-    verifyRetries: parseInt(process.env.CLOUDFLARED_VERIFY_RETRIES || '3', 10),
-    verifyDelay: parseInt(process.env.CLOUDFLARED_VERIFY_DELAY || '3000', 10)
+function parseBoolean(value) {
+  if (value === undefined || value === null) return false;
+  return ['1', 'true', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Scalar options and where they come from.
+ * Precedence: CLI flags / library options > exported environment > --env-file > .env.<profile> > .env
+ *   > config file > default
+ */
+const OPTION_DEFINITIONS = [
+  { key: 'apiKey', env: ['CLOUDFLARED_API_KEY', 'CLOUDFLARED_GLOBAL_API_KEY'], fromFile: false, default: '' },
+  { key: 'apiToken', env: ['CLOUDFLARED_API_TOKEN'], fromFile: false, default: '' },
+  { key: 'email', env: ['CLOUDFLARED_EMAIL'], default: '' },
+  { key: 'accountId', env: ['CLOUDFLARED_ACCOUNT_ID'], default: '' },
+  { key: 'tunnelToken', env: ['CLOUDFLARED_TUNNEL_TOKEN'], fromFile: false, default: '' },
+  { key: 'zoneId', env: ['CLOUDFLARED_ZONE_ID'], default: '' },
+  { key: 'zoneName', env: ['CLOUDFLARED_ZONE_NAME'], default: '' },
+  { key: 'cwd', env: ['TOOL_CWD', 'CLOUDFLARED_CWD'], fromFile: false, default: () => process.cwd() },
+  { key: 'cloudflaredPath', env: ['CLOUDFLARED_EXE_PATH'], default: '' },
+  { key: 'logLevel', env: ['CLOUDFLARED_LOG_LEVEL'], default: 'info' },
+  { key: 'timeout', env: ['CLOUDFLARED_TIMEOUT'], type: 'integer', default: 30000 },
+  { key: 'verifyRetries', env: ['CLOUDFLARED_VERIFY_RETRIES'], type: 'integer', default: 3 },
+  { key: 'verifyDelay', env: ['CLOUDFLARED_VERIFY_DELAY'], type: 'integer', default: 3000 },
+  { key: 'stopTimeout', env: ['CLOUDFLARED_STOP_TIMEOUT'], type: 'integer', default: 10000 },
+  { key: 'deleteResources', env: ['CLOUDFLARED_DELETE_RESOURCES'], type: 'boolean', default: false },
+  { key: 'ephemeral', env: ['CLOUDFLARED_EPHEMERAL'], type: 'boolean', default: false },
+  { key: 'fallback', env: ['CLOUDFLARED_FALLBACK_SERVICE'], default: 'http_status:404' },
+  { key: 'configMode', env: ['CLOUDFLARED_CONFIG_MODE'], default: 'local' },
+  { key: 'dnsConflict', env: ['CLOUDFLARED_DNS_CONFLICT'], default: 'auto' },
+  { key: 'accessServiceToken', env: ['CLOUDFLARED_ACCESS_SERVICE_TOKEN'], type: 'boolean', default: false },
+  { key: 'accessServiceTokenDuration', env: ['CLOUDFLARED_ACCESS_SERVICE_TOKEN_DURATION'], default: '24h' }
+];
+
+const CONFIG_MODES = ['local', 'remote'];
+const DNS_CONFLICT_POLICIES = ['auto', 'skip', 'update', 'replace', 'fail'];
+const SERVICE_TOKEN_DURATION_PATTERN = /^(?=\d)(\d+h)?(\d+m)?$/;
+
+/**
+ * Check a catch-all service string the way cloudflared accepts it:
+ * http_status:<code>, hello_world or an origin URL
+ * @param {string} service - Service string
+ * @returns {boolean} True if valid
+ */
+function isValidFallbackService(service) {
+  const status = String(service).match(/^http_status:(\d+)$/);
+  if (status) {
+    const code = parseInt(status[1], 10);
+    return code >= 100 && code <= 599;
+  }
+  if (service === 'hello_world') return true;
+  try {
+    const url = new URL(service);
+    return ['http:', 'https:', 'tcp:', 'ssh:', 'rdp:', 'smb:'].includes(url.protocol) && !!url.hostname;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Per-config metadata (value sources, config file document) kept out of the config object itself
+const configMeta = new WeakMap();
+
+function coerceOption(definition, value) {
+  if (definition.type === 'integer') return parseInt(value, 10);
+  if (definition.type === 'boolean') return typeof value === 'boolean' ? value : parseBoolean(value);
+  return value;
+}
+
+/**
+ * Identify an ingress rule by hostname and path
+ * @param {object} entry - Tunnel entry
+ * @returns {string} Rule key
+ */
+function ruleKey(entry) {
+  return entry.path ? `${entry.hostname} path=${entry.path}` : entry.hostname;
+}
+
+/**
+ * Merge tunnel entries: env entries replace file entries with the same hostname and path
+ * @param {object[]} fileEntries - Entries from the config file
+ * @param {object[]} envEntries - Entries from CLOUDFLARED_TUNNEL_N
+ * @returns {object[]} Merged entries
+ */
+function mergeTunnelEntries(fileEntries, envEntries) {
+  const envKeys = new Set(envEntries.map(ruleKey));
+  return [
+    ...fileEntries.filter(entry => !envKeys.has(ruleKey(entry))),
+    ...envEntries
+  ];
+}
+
+/**
+ * Build the effective environment from .env files and exported variables
+ * @param {string} baseCwd - Directory holding .env files
+ * @param {object} options - Parse options (profile, envFiles)
+ * @returns {{env: object, envSource: Function, envFiles: string[]}} Effective environment
+ */
+function loadEnvironment(baseCwd, options = {}) {
+  const profile = options.profile || process.env.CLOUDFLARED_PROFILE || '';
+  const envFiles = [path.join(baseCwd, '.env')];
+  
+  if (profile) {
+    const profilePath = path.join(baseCwd, `.env.${profile}`);
+    if (!exists(profilePath)) {
+      throw new ConfigError(`Env file for profile "${profile}" not found: ${profilePath}`);
+    }
+    envFiles.push(profilePath);
+  }
+  
+  (options.envFiles || []).forEach((envFile) => {
+    const envFilePath = path.resolve(baseCwd, envFile);
+    if (!exists(envFilePath)) {
+      throw new ConfigError(`Env file not found: ${envFilePath}`);
+    }
+    envFiles.push(envFilePath);
+  });
+  
+  const loaded = loadEnvFiles(envFiles);
+  const envSource = (name) => (process.env[name] !== undefined
+    ? { from: 'env', name }
+    : { from: 'dotenv', name, file: loaded.files[name] });
+  
+  return {
+    env: { ...loaded.values, ...process.env },
+    envSource,
+    envFiles: envFiles.filter(exists)
   };
+}
+
+function parseInput(options = {}) {
+  const baseCwd = options.cwd || process.env.TOOL_CWD || process.env.CLOUDFLARED_CWD || process.cwd();
+  const { env, envSource, envFiles } = loadEnvironment(baseCwd, options);
+  const configFile = options.configFile || env.CLOUDFLARED_CONFIG_FILE || '';
+  const configFilePath = configFile ? path.resolve(baseCwd, configFile) : '';
+  const fileDoc = configFilePath ? loadConfigFile(configFilePath) : null;
+  
+  const config = { tunnels: [] };
+  const sources = {};
+  
+  OPTION_DEFINITIONS.forEach((definition) => {
+    const envName = definition.env.find(name => env[name]);
+    if (envName) {
+      config[definition.key] = coerceOption(definition, env[envName]);
+      sources[definition.key] = envSource(envName);
+    } else if (fileDoc && definition.fromFile !== false && fileDoc[definition.key] !== undefined && fileDoc[definition.key] !== null) {
+      config[definition.key] = coerceOption(definition, fileDoc[definition.key]);
+      sources[definition.key] = { from: 'file', file: configFilePath };
+    } else {
+      config[definition.key] = typeof definition.default === 'function' ? definition.default() : definition.default;
+      sources[definition.key] = { from: 'default' };
+    }
+  });
   
+  if (options.cwd) {
+    config.cwd = options.cwd;
+    sources.cwd = { from: 'cli' };
+  }
+  
+  const envEntries = [];
   let index = 1;
   while (true) {
-    const tunnelEnv = process.env[`CLOUDFLARED_TUNNEL_${index}`];
+    const tunnelEnv = env[`CLOUDFLARED_TUNNEL_${index}`];
     if (!tunnelEnv) break;
-    
-    const parts = tunnelEnv.split(':');
-    if (parts.length !== 4 && parts.length !== 5) {
-      throw new ConfigError(
-        `Invalid tunnel configuration at CLOUDFLARED_TUNNEL_${index}: ${tunnelEnv}. ` +
-        `Expected format: tunnelname:hostname:ip:port or tunnelname:hostname:protocol:ip:port`
-      );
+    const entry = parseTunnelEntry(tunnelEnv, index);
+    if (env[`CLOUDFLARED_TUNNEL_${index}_PATH`]) {
+      entry.path = env[`CLOUDFLARED_TUNNEL_${index}_PATH`].trim();
     }
-    
-    let name, hostname, protocol = '', ip, port;
-    if (parts.length === 5) {
-      [name, hostname, protocol, ip, port] = parts;
-    } else {
-      [name, hostname, ip, port] = parts;
+    if (env[`CLOUDFLARED_TUNNEL_${index}_ZONE`]) {
+      entry.zone = env[`CLOUDFLARED_TUNNEL_${index}_ZONE`].trim();
     }
-    
-    config.tunnels.push({
-      index,
-      name: name.trim(),
-      hostname: hostname.trim(),
-      protocol: protocol.trim(),
-      ip: ip.trim(),
-      port: port.trim()
-    });
-    
+    const originEnv = env[`CLOUDFLARED_TUNNEL_${index}_ORIGIN`];
+    entry.originRequest = originEnv
+      ? coerceOriginRequest(parseOriginRequestEnv(originEnv, `CLOUDFLARED_TUNNEL_${index}_ORIGIN`))
+      : {};
+    const accessEnv = env[`CLOUDFLARED_TUNNEL_${index}_ACCESS`];
+    entry.access = accessEnv ? coerceAccess(parseAccessEnv(accessEnv, `CLOUDFLARED_TUNNEL_${index}_ACCESS`)) : null;
+    envEntries.push(entry);
     index++;
   }
   
+  // Global origin request defaults: env settings override config file settings key by key
+  const fileOrigin = fileDoc && fileDoc.originRequest && typeof fileDoc.originRequest === 'object' ? fileDoc.originRequest : {};
+  const envOrigin = env.CLOUDFLARED_ORIGIN_REQUEST
+    ? parseOriginRequestEnv(env.CLOUDFLARED_ORIGIN_REQUEST, 'CLOUDFLARED_ORIGIN_REQUEST')
+    : {};
+  config.originRequest = coerceOriginRequest({ ...fileOrigin, ...envOrigin });
+  if (env.CLOUDFLARED_ORIGIN_REQUEST) {
+    sources.originRequest = envSource('CLOUDFLARED_ORIGIN_REQUEST');
+  } else if (Object.keys(fileOrigin).length > 0) {
+    sources.originRequest = { from: 'file', file: configFilePath };
+  }
+  
+  const fileEntries = fileDoc ? getFileEntries(fileDoc, path.basename(configFilePath)) : [];
+  config.tunnels = mergeTunnelEntries(fileEntries, envEntries);
+  resolveHostnames(config.tunnels, {
+    env,
+    zoneName: config.zoneName,
+    labelOf: tunnel => entryLabel(tunnel, 'hostname')
+  });
+  config.configFile = configFilePath;
+  config.envFiles = envFiles;
+  config.tokenOnly = isTokenOnly(config);
+  
+  configMeta.set(config, { sources, fileDoc });
+  
   return config;
 }
 
+/**
+ * Get where each option value came from
+ * @param {object} config - Config returned by parseInput()
+ * @returns {object} Sources keyed by option ({ from: env|dotenv|file|cli|default, name, file })
+ */
+function getConfigSources(config) {
+  return configMeta.get(config)?.sources || {};
+}
+
+/**
+ * Describe a value source for humans
+ * @param {object} source - Source from getConfigSources()
+ * @returns {string} Description
+ */
+function describeSource(source) {
+  if (!source) return 'unknown';
+  switch (source.from) {
+    case 'env': return 'exported env';
+    case 'dotenv': return path.basename(source.file);
+    case 'file': return path.basename(source.file);
+    case 'cli': return 'CLI';
+    default: return 'default';
+  }
+}
+
+/**
+ * Label a tunnel entry (or one of its fields) for error messages
+ * @param {object} tunnel - Tunnel entry
+ * @param {string} field - Optional field name, appended to config file key paths
+ * @returns {string} Label
+ */
+function entryLabel(tunnel, field) {
+  if (tunnel.keyPath && field) return `${tunnel.keyPath}.${field}`;
+  return tunnel.source || `Tunnel ${tunnel.index}`;
+}
+
+/**
+ * Check whether Cloudflare API credentials are configured
+ * An API token is enough; the Global API Key also needs the account email
+ * @param {object} config - Parsed config
+ * @returns {boolean} True if API calls can be made
+ */
+function hasApiCredentials(config) {
+  return !!config.accountId && (!!config.apiToken || (!!config.apiKey && !!config.email));
+}
+
+/**
+ * Check whether only a tunnel token is configured (no API key or API token)
+ * @param {object} config - Parsed config
+ * @returns {boolean} True for token-only mode
+ */
+function isTokenOnly(config) {
+  return !!config.tunnelToken && !config.apiToken && !config.apiKey;
+}
+
 function reportConfigStatus(config) {
   const present = [];
   const missing = [];
-  if (config.apiKey) present.push('CLOUDFLARED_API_KEY'); else missing.push('CLOUDFLARED_API_KEY');
-  if (config.email) present.push('CLOUDFLARED_EMAIL'); else missing.push('CLOUDFLARED_EMAIL');
-  if (config.accountId) present.push('CLOUDFLARED_ACCOUNT_ID'); else missing.push('CLOUDFLARED_ACCOUNT_ID');
-  if (config.tunnelToken) present.push('CLOUDFLARED_TUNNEL_TOKEN');
-  if (config.zoneId) present.push('CLOUDFLARED_ZONE_ID');
-  else if (config.zoneName) present.push('CLOUDFLARED_ZONE_NAME');
-  else missing.push('CLOUDFLARED_ZONE_ID|CLOUDFLARED_ZONE_NAME (optional)');
+  const sources = getConfigSources(config);
+  const withSource = (label, key) => (sources[key] ? `${label} [${describeSource(sources[key])}]` : label);
+  
+  if (config.tokenOnly) {
+    present.push(`${withSource('CLOUDFLARED_TUNNEL_TOKEN', 'tunnelToken')} (token-only mode, no API calls)`);
+  } else if (config.apiToken) {
+    present.push(withSource('CLOUDFLARED_API_TOKEN', 'apiToken'));
+    if (config.apiKey) present.push(`${withSource('CLOUDFLARED_API_KEY', 'apiKey')} (ignored, API token is used)`);
+    if (config.email) present.push(withSource('CLOUDFLARED_EMAIL', 'email'));
+  } else {
+    if (config.apiKey) present.push(withSource('CLOUDFLARED_API_KEY', 'apiKey')); else missing.push('CLOUDFLARED_API_TOKEN|CLOUDFLARED_API_KEY');
+    if (config.email) present.push(withSource('CLOUDFLARED_EMAIL', 'email')); else missing.push('CLOUDFLARED_EMAIL (with CLOUDFLARED_API_KEY)');
+  }
+  if (config.accountId) present.push(withSource('CLOUDFLARED_ACCOUNT_ID', 'accountId')); else if (!config.tokenOnly) missing.push('CLOUDFLARED_ACCOUNT_ID');
+  if (config.tunnelToken && !config.tokenOnly) present.push(withSource('CLOUDFLARED_TUNNEL_TOKEN', 'tunnelToken'));
+  if (config.zoneId) present.push(withSource('CLOUDFLARED_ZONE_ID', 'zoneId'));
+  else if (config.zoneName) present.push(withSource('CLOUDFLARED_ZONE_NAME', 'zoneName'));
+  else if (!config.tokenOnly) missing.push('CLOUDFLARED_ZONE_ID|CLOUDFLARED_ZONE_NAME (optional)');
+  if (config.configFile) present.push(`CLOUDFLARED_CONFIG_FILE (${config.configFile})`);
+  if (config.envFiles && config.envFiles.length > 0) present.push(`env files (${config.envFiles.map(f => path.basename(f)).join(', ')})`);
   if (config.tunnels.length > 0) present.push(`CLOUDFLARED_TUNNEL_* (${config.tunnels.length})`);
-  else missing.push('CLOUDFLARED_TUNNEL_1+');
-  return { missing, present };
+  else if (!config.tokenOnly) missing.push('CLOUDFLARED_TUNNEL_1+');
+  
+  const sourceSummary = {};
+  Object.keys(sources).forEach((key) => {
+    sourceSummary[key] = describeSource(sources[key]);
+  });
+  
+  return { missing, present, sources: sourceSummary };
+}
+
+/**
+ * Validate the origin of a tunnel entry according to its service type
+ * Network origins need ip and port, unix sockets a path, built-ins a known name
+ * @param {object} tunnel - Tunnel entry
+ * @returns {string[]} Errors
+ */
+function validateServiceTarget(tunnel) {
+  const errors = [];
+  const type = tunnel.type || SERVICE_TYPE_NETWORK;
+  
+  if (type === SERVICE_TYPE_UNIX) {
+    if (!/^unix(\+tls)?:\/.+/.test(tunnel.service)) {
+      errors.push(`${entryLabel(tunnel, 'service')}: invalid socket ${tunnel.service} (expected unix:/absolute/path or unix+tls:/absolute/path)`);
+    }
+    return errors;
+  }
+  
+  if (type === SERVICE_TYPE_BUILTIN) {
+    const status = tunnel.service.match(/^http_status:(\d+)$/);
+    const validStatus = status && parseInt(status[1], 10) >= 100 && parseInt(status[1], 10) <= 599;
+    if (!validStatus && !['hello_world', 'bastion'].includes(tunnel.service)) {
+      errors.push(`${entryLabel(tunnel, 'service')}: invalid built-in service ${tunnel.service} (expected hello_world, http_status:<100-599> or bastion)`);
+    }
+    return errors;
+  }
+  
+  if (!tunnel.ip) errors.push(`${entryLabel(tunnel, 'ip')}: ip is required`);
+  if (!tunnel.port) errors.push(`${entryLabel(tunnel, 'port')}: port is required`);
+  const portNum = parseInt(tunnel.port, 10);
+  if (isNaN(portNum) || portNum < 1 || portNum > 65535) {
+    errors.push(`${entryLabel(tunnel, 'port')}: invalid port number ${tunnel.port}`);
+  }
+  return errors;
 }
 
 function validate(config) {
   const errors = [];
-  if (!config.apiKey) errors.push('CLOUDFLARED_API_KEY is required');
-  if (!config.email) errors.push('CLOUDFLARED_EMAIL is required');
-  if (!config.accountId) errors.push('CLOUDFLARED_ACCOUNT_ID is required');
-  if (config.tunnels.length === 0) errors.push('At least one tunnel configuration is required');
+  const fileDoc = configMeta.get(config)?.fileDoc;
+  if (fileDoc) {
+    validateConfigFile(fileDoc).forEach(error => errors.push(`${path.basename(config.configFile)}: ${error}`));
+  }
+  if (config.tokenOnly) {
+    // Token-only mode: no API calls, account and tunnel come from the token, ingress is managed remotely
+    try {
+      const token = decodeTunnelToken(config.tunnelToken);
+      if (config.accountId && config.accountId !== token.accountTag) {
+        errors.push(`CLOUDFLARED_ACCOUNT_ID ${config.accountId} does not match the account of CLOUDFLARED_TUNNEL_TOKEN (${token.accountTag})`);
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+    if (config.ephemeral) errors.push('Ephemeral tunnels need API credentials and cannot be used with a tunnel token only');
+    if (config.configMode === 'remote') errors.push('CLOUDFLARED_CONFIG_MODE=remote needs API credentials to push the tunnel configuration');
+    if (config.accessServiceToken) errors.push('CLOUDFLARED_ACCESS_SERVICE_TOKEN needs API credentials to issue the token');
+  } else {
+    if (!config.apiToken && !config.apiKey) {
+      errors.push('CLOUDFLARED_API_TOKEN (recommended) or CLOUDFLARED_API_KEY is required (or CLOUDFLARED_TUNNEL_TOKEN alone for token-only mode)');
+    } else if (!config.apiToken && !config.email) {
+      errors.push('CLOUDFLARED_EMAIL is required with CLOUDFLARED_API_KEY (or use CLOUDFLARED_API_TOKEN)');
+    }
+    if (!config.accountId) errors.push('CLOUDFLARED_ACCOUNT_ID is required');
+    if (config.tunnels.length === 0) errors.push('At least one tunnel configuration is required');
+  }
+  
+  if (config.fallback && !isValidFallbackService(config.fallback)) {
+    const fallbackLabel = getConfigSources(config).fallback?.from === 'file'
+      ? `${path.basename(config.configFile)}: fallback`
+      : 'CLOUDFLARED_FALLBACK_SERVICE';
+    errors.push(`${fallbackLabel}: invalid catch-all service ${config.fallback} (expected http_status:<100-599>, hello_world or an origin URL such as http://localhost:8080)`);
+  }
+  
+  if (!CONFIG_MODES.includes(config.configMode)) {
+    const modeLabel = getConfigSources(config).configMode?.from === 'file'
+      ? `${path.basename(config.configFile)}: configMode`
+      : 'CLOUDFLARED_CONFIG_MODE';
+    errors.push(`${modeLabel}: invalid config mode ${config.configMode} (expected ${CONFIG_MODES.join(' or ')})`);
+  }
+  
+  if (!DNS_CONFLICT_POLICIES.includes(config.dnsConflict)) {
+    const conflictLabel = getConfigSources(config).dnsConflict?.from === 'file'
+      ? `${path.basename(config.configFile)}: dnsConflict`
+      : 'CLOUDFLARED_DNS_CONFLICT';
+    errors.push(`${conflictLabel}: invalid DNS conflict policy ${config.dnsConflict} (expected ${DNS_CONFLICT_POLICIES.join(', ')})`);
+  }
+  
+  if (config.accessServiceToken && !config.tokenOnly && !config.tunnels.some(tunnel => tunnel.access)) {
+    errors.push('CLOUDFLARED_ACCESS_SERVICE_TOKEN needs at least one service with access settings (CLOUDFLARED_TUNNEL_N_ACCESS or access: in the config file)');
+  }
+  if (!SERVICE_TOKEN_DURATION_PATTERN.test(String(config.accessServiceTokenDuration))) {
+    errors.push(`CLOUDFLARED_ACCESS_SERVICE_TOKEN_DURATION: invalid duration ${config.accessServiceTokenDuration} (e.g. 30m, 8h, 24h)`);
+  }
+  
+  validateOriginRequest(config.originRequest, config.cwd)
+    .forEach(error => errors.push(`CLOUDFLARED_ORIGIN_REQUEST: ${error}`));
   
   config.tunnels.forEach(tunnel => {
-    if (!tunnel.name) errors.push(`Tunnel ${tunnel.index}: name is required`);
-    if (!tunnel.hostname) errors.push(`Tunnel ${tunnel.index}: hostname is required`);
-    if (!tunnel.ip) errors.push(`Tunnel ${tunnel.index}: ip is required`);
-    if (!tunnel.port) errors.push(`Tunnel ${tunnel.index}: port is required`);
-    const portNum = parseInt(tunnel.port, 10);
-    if (isNaN(portNum) || portNum < 1 || portNum > 65535) {
-      errors.push(`Tunnel ${tunnel.index}: invalid port number ${tunnel.port}`);
+    const originLabel = tunnel.keyPath ? `${tunnel.keyPath}.originRequest` : `${tunnel.source}_ORIGIN`;
+    validateOriginRequest(tunnel.originRequest, config.cwd)
+      .forEach(error => errors.push(`${originLabel}: ${error}`));
+    const accessLabel = tunnel.keyPath ? `${tunnel.keyPath}.access` : `${tunnel.source}_ACCESS`;
+    validateAccess(tunnel.access).forEach(error => errors.push(`${accessLabel}: ${error}`));
+    if (!tunnel.name) errors.push(`${entryLabel(tunnel, 'tunnel')}: name is required`);
+    if (!tunnel.hostname) errors.push(`${entryLabel(tunnel, 'hostname')}: hostname is required`);
+    // Without a zone name the zone is resolved from the account's zones at start (TunnelManager.checkWildcardZones)
+    const zoneName = (tunnel.zone && !isZoneId(tunnel.zone) ? tunnel.zone : config.zoneName)
+      || (tunnel.hostname && !hasApiCredentials(config) ? guessZone(tunnel.hostname) : '');
+    const wildcardError = validateWildcardHostname(tunnel.hostname, zoneName);
+    if (wildcardError) errors.push(`${entryLabel(tunnel, 'hostname')}: ${wildcardError}`);
+    if (tunnel.hostname && tunnel.zone && !isZoneId(tunnel.zone) && !isInZone(tunnel.hostname, tunnel.zone)) {
+      const zoneLabel = tunnel.keyPath ? `${tunnel.keyPath}.zone` : `${tunnel.source}_ZONE`;
+      errors.push(`${zoneLabel}: hostname ${tunnel.hostname} is not inside zone ${tunnel.zone}`);
+    }
+    if (tunnel.path) {
+      try {
+        new RegExp(tunnel.path);
+      } catch (error) {
+        const pathLabel = tunnel.keyPath ? `${tunnel.keyPath}.path` : `${tunnel.source}_PATH`;
+        errors.push(`${pathLabel}: invalid path regex ${tunnel.path} (${error.message})`);
+      }
     }
+    validateServiceTarget(tunnel).forEach(error => errors.push(error));
   });
   
-  const tunnelNames = Array.from(new Set(config.tunnels.map(t => t.name)));
-  if (tunnelNames.length > 1) {
-    errors.push(`All tunnel entries must share the same tunnel name. Found: ${tunnelNames.join(', ')}`);
+  const tunnelNames = Array.from(new Set(config.tunnels.map(t => t.name).filter(Boolean)));
+  if (config.tunnelToken && tunnelNames.length > 1) {
+    errors.push(`CLOUDFLARED_TUNNEL_TOKEN belongs to a single tunnel but ${tunnelNames.length} tunnels are configured: ${tunnelNames.join(', ')}`);
   }
   
-  const hostnames = config.tunnels.map(t => t.hostname);
-  const dupHostnames = hostnames.filter((name, index) => hostnames.indexOf(name) !== index);
-  if (dupHostnames.length > 0) {
-    errors.push(`Duplicate hostnames found: ${dupHostnames.join(', ')}`);
+  const fileNames = new Map();
+  tunnelNames.forEach((name) => {
+    const fileName = getTunnelFileName(name);
+    if (fileNames.has(fileName)) {
+      errors.push(`Tunnel names "${fileNames.get(fileName)}" and "${name}" map to the same runtime files (${fileName})`);
+    } else {
+      fileNames.set(fileName, name);
+    }
+  });
+  
+  // A hostname may repeat with different paths, but only within one tunnel (its CNAME points to one tunnel)
+  const rules = config.tunnels.map(ruleKey);
+  const dupRules = rules.filter((rule, index) => rules.indexOf(rule) !== index);
+  if (dupRules.length > 0) {
+    errors.push(`Duplicate hostnames found: ${Array.from(new Set(dupRules)).join(', ')} (use a different path per rule)`);
   }
   
+  const hostnameTunnels = new Map();
+  const hostnameZones = new Map();
+  const hostnameAccess = new Map();
+  config.tunnels.forEach((tunnel) => {
+    const owner = hostnameTunnels.get(tunnel.hostname);
+    if (owner === undefined) {
+      hostnameTunnels.set(tunnel.hostname, tunnel.name);
+    } else if (owner !== tunnel.name) {
+      errors.push(`Hostname ${tunnel.hostname} is used by tunnels ${owner} and ${tunnel.name}`);
+    }
+    // Rules of one hostname share its DNS record, so they must agree on the zone
+    const zone = (tunnel.zone || '').toLowerCase();
+    if (!hostnameZones.has(tunnel.hostname)) {
+      hostnameZones.set(tunnel.hostname, zone);
+    } else if (hostnameZones.get(tunnel.hostname) !== zone) {
+      errors.push(`Hostname ${tunnel.hostname} has conflicting zones: ${hostnameZones.get(tunnel.hostname) || '(auto)'} and ${zone || '(auto)'}`);
+    }
+    // One Access application protects the whole hostname, including all of its path rules
+    if (!hostnameAccess.has(tunnel.hostname)) {
+      hostnameAccess.set(tunnel.hostname, accessKey(tunnel.access));
+    } else if (hostnameAccess.get(tunnel.hostname) !== accessKey(tunnel.access)) {
+      errors.push(`Hostname ${tunnel.hostname} has different access settings on its rules; set the same access on every rule`);
+    }
+  });
+  
   if (errors.length > 0) {
-    throw new ValidationError('Configuration validation failed:\\n' + errors.map(e => `  - ${e}`).join('\\n'));
+    throw new ValidationError('Configuration validation failed:\n' + errors.map(e => `  - ${e}`).join('\n'));
   }
 }
 
@@ -111,9 +491,48 @@ function getCredentialsDir(cwd) { return path.join(getRunnerDataDir(cwd), 'crede
 function getConfigDir(cwd) { return path.join(getRunnerDataDir(cwd), 'config'); }
 function getTmpDir(cwd) { return path.join(getRunnerDataDir(cwd), 'tmp'); }
 function getBinDir(cwd) { return path.join(getRunnerDataDir(cwd), 'bin'); }
+function getStateDir(cwd) { return path.join(getRunnerDataDir(cwd), 'state'); }
+function getStateFilePath(cwd) { return path.join(getStateDir(cwd), 'resources.json'); }
+
+/**
+ * File-safe name of a tunnel, used for its config, PID and log files
+ * @param {string} tunnelName - Configured tunnel name
+ * @returns {string} File name stem
+ */
+function getTunnelFileName(tunnelName) {
+  return String(tunnelName || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '') || 'tunnel';
+}
+
+/**
+ * Runtime file paths of one tunnel, so several tunnels can run side by side
+ * @param {string} cwd - Working directory
+ * @param {string} tunnelName - Configured tunnel name
+ * @returns {{configFile: string, pidFile: string, logFile: string}} File paths
+ */
+function getTunnelFiles(cwd, tunnelName) {
+  const fileName = getTunnelFileName(tunnelName);
+  return {
+    configFile: path.join(getConfigDir(cwd), `${fileName}.yml`),
+    pidFile: path.join(getPidDir(cwd), `cloudflared-${fileName}.pid`),
+    logFile: path.join(getCloudflaredLogsDir(cwd), `${fileName}.log`)
+  };
+}
 
 module.exports = {
+  OPTION_DEFINITIONS,
+  CONFIG_MODES,
+  DNS_CONFLICT_POLICIES,
+  parseBoolean,
+  isValidFallbackService,
   parseInput,
+  getConfigSources,
+  describeSource,
+  loadEnvironment,
+  hasApiCredentials,
+  isTokenOnly,
   reportConfigStatus,
   validate,
   getRunnerDataDir,
@@ -124,5 +543,9 @@ module.exports = {
   getCredentialsDir,
   getConfigDir,
   getTmpDir,
-  getBinDir
+  getBinDir,
+  getStateDir,
+  getStateFilePath,
+  getTunnelFileName,
+  getTunnelFiles
 };
@@ -0,0 +1,236 @@
+const { ConfigError } = require('../utils/errors');
+const { isZoneId } = require('./zone-match');
+
+/**
+ * Hostname templates for per-branch / per-PR preview URLs
+ *   pr-${PR_NUMBER}-web.example.com, ${GITHUB_RUN_ID}.preview.example.com
+ * Hostname "auto" generates <tunnel>-<port>-<context>.<zone> from the CI context
+ * Wildcard hostnames (*.dev.example.com) route every subdomain to one origin
+ */
+
+const MAX_LABEL_LENGTH = 63;
+const MAX_HOSTNAME_LENGTH = 253;
+const AUTO_HOSTNAME = 'auto';
+const TEMPLATE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Derive CI variables usable in templates, on top of the raw environment
+ * @param {object} env - Environment variables
+ * @returns {object} Variables (PR_NUMBER, BRANCH, RUN_ID, RUN_ATTEMPT, SHORT_SHA plus env)
+ */
+function getTemplateVariables(env = process.env) {
+  const prFromRef = (env.GITHUB_REF || '').match(/^refs\/pull\/(\d+)\//);
+  const sha = env.GITHUB_SHA || env.BUILD_SOURCEVERSION || '';
+  const derived = {
+    PR_NUMBER: (prFromRef && prFromRef[1]) || env.SYSTEM_PULLREQUEST_PULLREQUESTNUMBER || env.SYSTEM_PULLREQUEST_PULLREQUESTID || '',
+    BRANCH: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME || env.SYSTEM_PULLREQUEST_SOURCEBRANCH || env.BUILD_SOURCEBRANCHNAME || '',
+    RUN_ID: env.GITHUB_RUN_ID || env.BUILD_BUILDID || '',
+    RUN_ATTEMPT: env.GITHUB_RUN_ATTEMPT || env.SYSTEM_JOBATTEMPT || '',
+    SHORT_SHA: sha.slice(0, 7)
+  };
+  derived.BRANCH = derived.BRANCH.replace(/^refs\/heads\//, '');
+
+  const variables = { ...env };
+  Object.keys(derived).forEach((key) => {
+    if (derived[key] && !variables[key]) {
+      variables[key] = derived[key];
+    }
+  });
+  return variables;
+}
+
+/**
+ * Turn text into a valid DNS label: lowercase, [a-z0-9-], no edge hyphens, at most 63 chars
+ * @param {string} value - Raw label
+ * @returns {string} Label
+ */
+function sanitizeLabel(value) {
+  if (value === '*') return value;
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-+/, '')
+    .slice(0, MAX_LABEL_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Sanitize every label of a hostname
+ * @param {string} hostname - Hostname
+ * @returns {string} Sanitized hostname
+ */
+function sanitizeHostname(hostname) {
+  return hostname.split('.').map(sanitizeLabel).filter(Boolean).join('.');
+}
+
+function isTemplate(hostname) {
+  return hostname === AUTO_HOSTNAME || /\$\{[^}]+\}/.test(hostname);
+}
+
+/**
+ * Expand ${VAR} references in a hostname template
+ * @param {string} template - Hostname template
+ * @param {object} variables - Template variables
+ * @param {string} label - Entry label for error messages
+ * @returns {string} Sanitized hostname
+ */
+function expandHostname(template, variables, label) {
+  const missing = [];
+  const expanded = template.replace(TEMPLATE_PATTERN, (match, name) => {
+    if (!variables[name]) {
+      missing.push(name);
+      return '';
+    }
+    return variables[name];
+  });
+
+  if (missing.length > 0) {
+    throw new ConfigError(`${label}: hostname template ${template} references unset variable(s): ${missing.join(', ')}`);
+  }
+  if (/\$\{/.test(expanded)) {
+    throw new ConfigError(`${label}: invalid hostname template ${template}`);
+  }
+
+  const hostname = sanitizeHostname(expanded);
+  if (hostname.length > MAX_HOSTNAME_LENGTH) {
+    throw new ConfigError(`${label}: hostname ${hostname} from template ${template} is longer than ${MAX_HOSTNAME_LENGTH} characters`);
+  }
+  return hostname;
+}
+
+/**
+ * Generate a hostname in the zone from the tunnel name and CI context
+ * @param {object} entry - Tunnel entry
+ * @param {string} zone - Zone name
+ * @param {object} variables - Template variables
+ * @returns {string} Hostname
+ */
+function autoHostname(entry, zone, variables) {
+  let context = 'local';
+  if (variables.PR_NUMBER) {
+    context = `pr-${variables.PR_NUMBER}`;
+  } else if (variables.BRANCH) {
+    context = variables.BRANCH;
+  } else if (variables.RUN_ID) {
+    context = `run-${variables.RUN_ID}`;
+  }
+  const label = sanitizeLabel([entry.name, entry.port || entry.index, context].filter(Boolean).join('-'));
+  return `${label}.${zone}`;
+}
+
+/**
+ * Check whether a hostname is a wildcard (*.dev.example.com)
+ * @param {string} hostname - Hostname
+ * @returns {boolean} True for wildcard hostnames
+ */
+function isWildcardHostname(hostname) {
+  return typeof hostname === 'string' && hostname.startsWith('*.');
+}
+
+/**
+ * Guess the zone of a hostname from its last two labels
+ * Only used when the account's zones cannot be listed (no API credentials); wrong for example.co.uk
+ * and delegated subzones, which findZoneForHostname() in zone-match.js resolves
+ * @param {string} hostname - Hostname
+ * @returns {string} Zone name
+ */
+function guessZone(hostname) {
+  return hostname.replace(/^\*\./, '').toLowerCase().split('.').slice(-2).join('.');
+}
+
+/**
+ * Validate the position of a wildcard in a hostname
+ * The wildcard must be the whole leftmost label and sit below the zone apex
+ * @param {string} hostname - Hostname
+ * @param {string} zoneName - Zone of the hostname, empty to skip the zone check until the account's zones are known
+ * @returns {string|null} Error message, null when valid
+ */
+function validateWildcardHostname(hostname, zoneName) {
+  if (!hostname || !hostname.includes('*')) return null;
+  if (hostname === '*') {
+    return 'a bare * hostname is not allowed, use CLOUDFLARED_FALLBACK_SERVICE for the catch-all rule';
+  }
+  if (!/^\*\.[^*]+$/.test(hostname)) {
+    return `wildcard in ${hostname} must be the whole leftmost label, e.g. *.dev.example.com`;
+  }
+
+  const suffix = hostname.slice(2).toLowerCase();
+  if (suffix.split('.').length < 2) {
+    return `wildcard ${hostname} covers a top-level domain`;
+  }
+  if (!zoneName) return null;
+  const zone = zoneName.toLowerCase();
+  if (suffix !== zone && !suffix.endsWith(`.${zone}`)) {
+    return `wildcard ${hostname} is not inside zone ${zone}`;
+  }
+  return null;
+}
+
+/**
+ * Number of labels between the wildcard and the zone apex
+ * Cloudflare's Universal SSL certificate only covers *.<zone>, deeper wildcards need an advanced certificate
+ * @param {string} hostname - Wildcard hostname
+ * @param {string} zoneName - Zone of the hostname
+ * @returns {number} 0 for *.<zone>, 1 for *.dev.<zone>, ...
+ */
+function getWildcardDepth(hostname, zoneName) {
+  const suffix = hostname.slice(2).toLowerCase();
+  return suffix.split('.').length - zoneName.split('.').length;
+}
+
+/**
+ * Sort comparator for ingress hostnames: exact hostnames first, then wildcards from deepest to shallowest
+ * Array.prototype.sort is stable, so hostnames of the same rank keep their order
+ * @param {string} a - Hostname
+ * @param {string} b - Hostname
+ * @returns {number} Comparison result
+ */
+function compareHostnameSpecificity(a, b) {
+  const rank = hostname => (isWildcardHostname(hostname) ? -hostname.split('.').length : -Infinity);
+  const rankA = rank(a);
+  const rankB = rank(b);
+  return rankA === rankB ? 0 : rankA - rankB;
+}
+
+/**
+ * Resolve templated and auto hostnames of tunnel entries in place
+ * The original template is kept as hostnameTemplate for the plan output
+ * @param {object[]} entries - Tunnel entries
+ * @param {object} options - Resolve options
+ * @param {object} options.env - Environment variables
+ * @param {string} options.zoneName - Zone used for auto hostnames (a per-entry zone name wins)
+ * @param {Function} options.labelOf - Returns the label of an entry for error messages
+ */
+function resolveHostnames(entries, options) {
+  const { env, zoneName, labelOf } = options;
+  const variables = getTemplateVariables(env);
+
+  entries.forEach((entry) => {
+    if (!entry.hostname || !isTemplate(entry.hostname)) return;
+    const template = entry.hostname;
+    if (template === AUTO_HOSTNAME) {
+      const zone = entry.zone && !isZoneId(entry.zone) ? entry.zone : zoneName;
+      if (!zone) {
+        throw new ConfigError(`${labelOf(entry)}: hostname "auto" requires CLOUDFLARED_ZONE_NAME or a zone name on the service`);
+      }
+      entry.hostname = autoHostname(entry, zone.toLowerCase(), variables);
+    } else {
+      entry.hostname = expandHostname(template, variables, labelOf(entry));
+    }
+    entry.hostnameTemplate = template;
+  });
+}
+
+module.exports = {
+  AUTO_HOSTNAME,
+  getTemplateVariables,
+  sanitizeLabel,
+  expandHostname,
+  resolveHostnames,
+  isWildcardHostname,
+  guessZone,
+  validateWildcardHostname,
+  getWildcardDepth,
+  compareHostnameSpecificity
+};
@@ -0,0 +1,96 @@
+const path = require('path');
+const { exists } = require('../adapters/fs-adapter');
+const { ConfigError } = require('../utils/errors');
+
+/**
+ * Origin request settings rendered as originRequest blocks in the cloudflared config
+ * Global settings go to the top level, per-service settings to the ingress rule
+ */
+
+const ORIGIN_REQUEST_OPTIONS = {
+  noTLSVerify: 'boolean',
+  originServerName: 'string',
+  httpHostHeader: 'string',
+  connectTimeout: 'duration',
+  keepAliveTimeout: 'duration',
+  disableChunkedEncoding: 'boolean',
+  caPool: 'path'
+};
+
+const DURATION_PATTERN = /^(\d+(ns|us|ms|s|m|h))+$/;
+
+/**
+ * Parse a "key=value,key=value" origin request list from env
+ * @param {string} value - Env value
+ * @param {string} label - Env variable name for error messages
+ * @returns {object} Raw settings
+ */
+function parseOriginRequestEnv(value, label) {
+  const settings = {};
+  String(value).split(',').forEach((pair) => {
+    if (!pair.trim()) return;
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      throw new ConfigError(`Invalid origin request setting in ${label}: "${pair.trim()}". Expected key=value`);
+    }
+    settings[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  });
+  return settings;
+}
+
+/**
+ * Coerce raw settings (env strings or config file values) to cloudflared types
+ * Invalid values are kept as-is and reported by validateOriginRequest()
+ * @param {object} settings - Raw settings
+ * @returns {object} Coerced settings
+ */
+function coerceOriginRequest(settings) {
+  const coerced = {};
+  Object.keys(settings || {}).forEach((key) => {
+    const value = settings[key];
+    const type = ORIGIN_REQUEST_OPTIONS[key];
+    if (type === 'boolean' && typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())) {
+      coerced[key] = value.toLowerCase() === 'true';
+    } else if (type === 'duration' && (Number.isInteger(value) || /^\d+$/.test(String(value)))) {
+      coerced[key] = `${value}s`;
+    } else {
+      coerced[key] = value;
+    }
+  });
+  return coerced;
+}
+
+/**
+ * Validate coerced origin request settings
+ * @param {object} settings - Coerced settings
+ * @param {string} cwd - Directory cloudflared runs in (caPool paths are relative to it)
+ * @returns {string[]} Errors prefixed with the setting name
+ */
+function validateOriginRequest(settings, cwd) {
+  const errors = [];
+  Object.keys(settings || {}).forEach((key) => {
+    const value = settings[key];
+    const type = ORIGIN_REQUEST_OPTIONS[key];
+    if (!type && /cert/i.test(key)) {
+      errors.push(`${key}: cloudflared cannot present a client certificate to the origin; use caPool to trust the origin's certificate`);
+    } else if (!type) {
+      errors.push(`${key}: unknown origin request setting (supported: ${Object.keys(ORIGIN_REQUEST_OPTIONS).join(', ')})`);
+    } else if (type === 'boolean' && typeof value !== 'boolean') {
+      errors.push(`${key}: expected true or false, got ${JSON.stringify(value)}`);
+    } else if (type === 'duration' && !DURATION_PATTERN.test(String(value))) {
+      errors.push(`${key}: invalid duration ${JSON.stringify(value)} (e.g. 30s, 1m30s)`);
+    } else if ((type === 'string' || type === 'path') && (typeof value !== 'string' || value === '')) {
+      errors.push(`${key}: expected a non-empty string`);
+    } else if (type === 'path' && !exists(path.resolve(cwd, value))) {
+      errors.push(`${key}: file not found: ${path.resolve(cwd, value)}`);
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  ORIGIN_REQUEST_OPTIONS,
+  parseOriginRequestEnv,
+  coerceOriginRequest,
+  validateOriginRequest
+};
@@ -1,30 +1,434 @@
+const crypto = require('crypto');
+const { getCIUser } = require('../adapters/process-adapter');
+const { readText } = require('../adapters/fs-adapter');
+const { parse: parseYaml } = require('../utils/yaml');
+const { formatOriginHost, SERVICE_TYPE_NETWORK } = require('./tunnel-entry');
+const { isWildcardHostname, getWildcardDepth, compareHostnameSpecificity } = require('./hostname-template');
+const { decodeTunnelToken } = require('./tunnel-token');
+const { isZoneId } = require('./zone-match');
+const { describeAccess } = require('./access');
+const { resolveDnsConflictPolicy, isRemotelyManaged } = require('./cloudflare-client');
+
+const MAX_TUNNEL_NAME_LENGTH = 63;
+const NEW_TUNNEL_ID = '<new-tunnel-id>';
+const DEFAULT_FALLBACK_SERVICE = 'http_status:404';
+
+const MARKERS = {
+  create: '+',
+  update: '~',
+  delete: '-',
+  noop: ' '
+};
+
+function sanitizeName(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Derive a unique per-run tunnel name from CI context
+ * @param {string} baseName - Configured tunnel name
+ * @param {object} env - Environment variables
+ * @returns {string} Unique tunnel name
+ */
+function deriveEphemeralTunnelName(baseName, env = process.env) {
+  const parts = [baseName];
+  const ciUser = getCIUser();
+
+  if (env.GITHUB_RUN_ID) {
+    parts.push(ciUser || 'gh', env.GITHUB_RUN_ID, env.GITHUB_RUN_ATTEMPT || '1');
+  } else if (env.BUILD_BUILDID) {
+    parts.push(ciUser || 'azp', env.BUILD_BUILDID, env.SYSTEM_JOBATTEMPT || '1');
+  } else {
+    parts.push('local', String(process.pid));
+  }
+
+  // Concurrent jobs of the same run (matrix) share the run ID
+  const suffix = crypto.randomBytes(3).toString('hex');
+  const prefix = sanitizeName(parts.join('-')).slice(0, MAX_TUNNEL_NAME_LENGTH - suffix.length - 1);
+  return `${prefix.replace(/-$/, '')}-${suffix}`;
+}
+
+/**
+ * Plan the single remotely managed tunnel of token-only mode
+ * The tunnel is named after the first configured entry, or after its ID
+ * @param {object} config - Parsed config
+ * @returns {object} Tunnel entry of the plan
+ */
+function planTokenOnlyTunnel(config) {
+  const token = decodeTunnelToken(config.tunnelToken);
+  const name = (config.tunnels[0] && config.tunnels[0].name) || `token-${token.tunnelId.slice(0, 8)}`;
+  return {
+    tunnelName: name,
+    configuredName: name,
+    ephemeral: false,
+    tokenOnly: true,
+    tunnelId: token.tunnelId,
+    accountTag: token.accountTag,
+    services: []
+  };
+}
+
+/**
+ * Group configured services by tunnel name into one plan entry per tunnel
+ * @param {object} config - Parsed config
+ * @param {object} logger - Logger (optional)
+ * @returns {object} Plan with tunnels[] ({ tunnelName, configuredName, ephemeral, services })
+ */
 function plan(config, logger) {
-  const tunnelName = config.tunnels[0]?.name || '';
-  const services = config.tunnels.map((tunnel) => ({
-    name: tunnel.name,
-    hostname: tunnel.hostname,
-    ip: tunnel.ip,
-    port: tunnel.port
+  const ephemeral = !!config.ephemeral;
+  const byName = new Map();
+
+  config.tunnels.forEach((tunnel) => {
+    if (!byName.has(tunnel.name)) {
+      byName.set(tunnel.name, []);
+    }
+    byName.get(tunnel.name).push({
+      name: tunnel.name,
+      hostname: tunnel.hostname,
+      hostnameTemplate: tunnel.hostnameTemplate || null,
+      path: tunnel.path || '',
+      zone: tunnel.zone || '',
+      access: tunnel.access || null,
+      protocol: tunnel.protocol,
+      ip: tunnel.ip,
+      port: tunnel.port,
+      type: tunnel.type || SERVICE_TYPE_NETWORK,
+      service: tunnel.service || '',
+      originRequest: tunnel.originRequest || {}
+    });
+  });
+
+  const tunnels = config.tokenOnly ? [planTokenOnlyTunnel(config)] : Array.from(byName.entries()).map(([configuredName, services]) => ({
+    tunnelName: ephemeral && configuredName ? deriveEphemeralTunnelName(configuredName) : configuredName,
+    configuredName,
+    ephemeral,
+    services
   }));
 
   const planResult = {
-    tunnelName,
-    services,
-    totalServices: services.length
+    tunnels,
+    ephemeral,
+    fallback: config.fallback || DEFAULT_FALLBACK_SERVICE,
+    totalServices: tunnels.reduce((total, tunnelPlan) => total + tunnelPlan.services.length, 0)
   };
 
   if (logger) {
     logger.section('Planning Execution');
-    logger.info(`Tunnel name: ${tunnelName}`);
-    logger.info(`Total services: ${services.length}`);
-    services.forEach((service) => {
-      logger.verbose(`Service: ${service.hostname} -> ${service.ip}:${service.port}`);
+    logger.info(`Tunnels: ${tunnels.length}`);
+    if (config.tokenOnly) {
+      logger.info(`Token-only mode: tunnel ${tunnels[0].tunnelId} (account ${tunnels[0].accountTag}), no API calls, ingress and DNS are managed in the Cloudflare dashboard`);
+      if (config.tunnels.length > 0) {
+        logger.warn(`${config.tunnels.length} configured service(s) are not applied in token-only mode; configure public hostnames for the tunnel in the dashboard`);
+      }
+    }
+    tunnels.forEach((tunnelPlan) => {
+      logger.info(`Tunnel name: ${tunnelPlan.tunnelName} (${tunnelPlan.services.length} service(s))`);
+      if (ephemeral) {
+        logger.info(`Ephemeral mode: fresh tunnel derived from "${tunnelPlan.configuredName}", deleted on stop`);
+      }
+      tunnelPlan.services.forEach((service) => {
+        if (service.hostnameTemplate) {
+          logger.info(`Hostname: ${service.hostname} (from ${service.hostnameTemplate})`);
+        }
+        // Wildcards without a zone name are checked once the account's zones are listed
+        const zoneName = service.zone && !isZoneId(service.zone) ? service.zone : config.zoneName;
+        if (zoneName && isWildcardHostname(service.hostname) && getWildcardDepth(service.hostname, zoneName) > 0) {
+          logger.warn(`Wildcard ${service.hostname} is more than one level below the zone; Cloudflare's Universal SSL certificate does not cover it (an advanced certificate is required)`);
+        }
+        const target = service.type === SERVICE_TYPE_NETWORK ? `${formatOriginHost(service.ip)}:${service.port}` : service.service;
+        logger.verbose(`Service: ${service.hostname} -> ${target}`);
+      });
     });
+    logger.info(`Total services: ${planResult.totalServices}`);
+    if (!config.tokenOnly) {
+      logger.info(`Catch-all rule: ${planResult.fallback}`);
+    }
   }
 
   return planResult;
 }
 
+function change(action, type, name, detail = '') {
+  return { action, marker: MARKERS[action], type, name, detail };
+}
+
+/**
+ * Read ingress rules from a previously generated config.yml
+ * @param {string|null} configPath - Config file path
+ * @returns {object[]|null} Ingress rules, null when no previous config exists
+ */
+function readPreviousIngress(configPath) {
+  const content = configPath ? readText(configPath) : null;
+  if (!content) return null;
+  try {
+    const previous = parseYaml(content);
+    return Array.isArray(previous?.ingress) ? previous.ingress : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function ingressKey(rule) {
+  const hostname = rule.hostname || '*';
+  return rule.path ? `${hostname} path=${rule.path}` : hostname;
+}
+
+function originKey(rule) {
+  const settings = rule.originRequest || {};
+  return JSON.stringify(Object.keys(settings).sort().map(key => [key, settings[key]]));
+}
+
+/**
+ * Merge own ingress rules into a remotely managed configuration shared with other runners
+ * Rules with the same hostname and path are replaced, rules this runner pushed before are dropped,
+ * all other rules are kept; the own catch-all rule goes last
+ * Rules of one hostname are grouped with its path rules first, so a bare hostname never shadows a path rule
+ * @param {object[]|null} remoteIngress - Ingress rules of the remote configuration
+ * @param {object[]} ownIngress - Desired ingress rules, ending with the catch-all rule
+ * @param {string[]} previouslyOwned - Rule keys pushed by this runner before
+ * @returns {object[]} Merged ingress rules
+ */
+function mergeIngress(remoteIngress, ownIngress, previouslyOwned = []) {
+  const isCatchAll = rule => !rule.hostname && !rule.path;
+  const own = ownIngress.filter(rule => !isCatchAll(rule));
+  const catchAll = ownIngress.filter(isCatchAll).slice(-1);
+  const replaced = new Set([...own.map(ingressKey), ...previouslyOwned]);
+  const foreign = (remoteIngress || []).filter(rule => !isCatchAll(rule) && !replaced.has(ingressKey(rule)));
+
+  const groups = new Map();
+  [...own, ...foreign]
+    .sort((a, b) => compareHostnameSpecificity(a.hostname, b.hostname))
+    .forEach((rule) => {
+      const hostname = (rule.hostname || '').toLowerCase();
+      if (!groups.has(hostname)) groups.set(hostname, []);
+      groups.get(hostname).push(rule);
+    });
+
+  const rules = Array.from(groups.values()).flatMap(group => [
+    ...group.filter(rule => rule.path),
+    ...group.filter(rule => !rule.path)
+  ]);
+  return [...rules, ...catchAll];
+}
+
+/**
+ * Planned change for a hostname whose existing records do not point at the tunnel
+ * @param {string} hostname - Hostname
+ * @param {object[]} records - Existing records with that name
+ * @param {string} target - Expected CNAME target
+ * @param {string} policy - DNS conflict policy (auto, skip, update, replace or fail)
+ * @returns {object} Change
+ */
+function dnsConflictChange(hostname, records, target, policy) {
+  const found = records.map(r => `${r.type} ${r.content}`).join(', ');
+  const applied = resolveDnsConflictPolicy(policy, records);
+  const label = applied === policy ? policy : `${policy}: ${applied}`;
+  switch (applied) {
+    case 'skip':
+      return change('update', 'dns', hostname, `${found}, expected CNAME ${target}; existing record is kept (${label})`);
+    case 'update':
+      return records.length === 1
+        ? change('update', 'dns', hostname, `${found} -> CNAME ${target} (${label}, restored on cleanup)`)
+        : change('update', 'dns', hostname, `${found}, expected CNAME ${target}; ${records.length} records cannot be updated, the run fails (${label})`);
+    case 'replace':
+      return change('update', 'dns', hostname, `${found} -> CNAME ${target} (${label}, restored on cleanup)`);
+    default:
+      return change('update', 'dns', hostname, `${found}, expected CNAME ${target}; conflict fails the run (${label})`);
+  }
+}
+
+/**
+ * Diff desired ingress against the previous config.yml
+ * @param {object[]} desired - Desired ingress rules
+ * @param {object[]|null} previous - Previous ingress rules
+ * @returns {object[]} Ingress changes
+ */
+function diffIngress(desired, previous) {
+  const previousByKey = new Map((previous || []).map(rule => [ingressKey(rule), rule]));
+  const desiredKeys = new Set(desired.map(ingressKey));
+  const changes = [];
+
+  desired.forEach((rule) => {
+    const key = ingressKey(rule);
+    const old = previousByKey.get(key);
+    if (!old) {
+      changes.push(change('create', 'ingress', key, rule.service));
+    } else if (old.service !== rule.service) {
+      changes.push(change('update', 'ingress', key, `${old.service} -> ${rule.service}`));
+    } else if (originKey(old) !== originKey(rule)) {
+      changes.push(change('update', 'ingress', key, `${rule.service}, originRequest changed`));
+    } else {
+      changes.push(change('noop', 'ingress', key, rule.service));
+    }
+  });
+
+  previousByKey.forEach((rule, key) => {
+    if (!desiredKeys.has(key)) {
+      changes.push(change('delete', 'ingress', key, rule.service));
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Query the account and diff the desired state of one tunnel against the actual state
+ * Only read-only API calls are made
+ * @param {object} planResult - Tunnel entry of plan() (tunnelName, ephemeral, services)
+ * @param {object} client - CloudflareClient
+ * @param {object} options - Diff options
+ * @param {object[]} options.ingress - Desired ingress rules
+ * @param {string} options.previousConfigPath - Path of the previous config.yml
+ * @param {boolean} options.remote - Diff against the remotely managed tunnel configuration instead
+ * @param {string[]} options.previouslyOwned - Rule keys this runner pushed to the remote configuration before
+ * @param {string} options.dnsConflict - Policy for existing records that do not point at the tunnel
+ * @returns {Promise<object>} Diff with tunnel, accessApps, dnsRecords, ingress, ingressRules, changes and summary
+ */
+async function diffPlan(planResult, client, options = {}) {
+  const { ingress = [], previousConfigPath = null, remote = false, previouslyOwned = [], dnsConflict = 'auto' } = options;
+
+  const existingTunnel = planResult.ephemeral ? null : await client.getTunnelByName(planResult.tunnelName);
+  const tunnel = {
+    name: planResult.tunnelName,
+    id: existingTunnel ? existingTunnel.id : null,
+    remoteConfig: existingTunnel ? isRemotelyManaged(existingTunnel) : remote,
+    change: existingTunnel
+      ? change('noop', 'tunnel', planResult.tunnelName, `reuse ID ${existingTunnel.id}`)
+      : change('create', 'tunnel', planResult.tunnelName)
+  };
+
+  // Access applications are created before the DNS records that expose their hostnames
+  const accessApps = [];
+  const protectedHosts = new Map(planResult.services.filter(service => service.access).map(service => [service.hostname, service.access]));
+  for (const [hostname, access] of protectedHosts) {
+    const entry = { hostname, appId: null };
+    try {
+      const app = await client.getAccessAppByDomain(hostname);
+      entry.appId = app ? app.id : null;
+      entry.change = app
+        ? change('noop', 'access', hostname, `reuse application ${app.id}, its policies are kept`)
+        : change('create', 'access', hostname, describeAccess(access));
+    } catch (error) {
+      entry.error = error.message;
+      entry.change = change('create', 'access', hostname, `${describeAccess(access)} (lookup failed: ${error.message})`);
+    }
+    accessApps.push(entry);
+  }
+
+  const target = `${tunnel.id || NEW_TUNNEL_ID}.cfargotunnel.com`;
+  const dnsRecords = [];
+  const zones = new Map(planResult.services.map(service => [service.hostname, service.zone || '']));
+  for (const [hostname, zone] of zones) {
+    const entry = { hostname, zoneId: null, record: null, target };
+    try {
+      const { zoneId, records } = await client.lookupDnsRecord(hostname, zone);
+      entry.zoneId = zoneId;
+      entry.record = records[0] || null;
+      const matching = records.find(r => r.type === 'CNAME' && r.content.toLowerCase() === target);
+      if (records.length === 0) {
+        entry.change = change('create', 'dns', hostname, `CNAME ${target}`);
+      } else if (matching) {
+        entry.record = matching;
+        entry.change = change('noop', 'dns', hostname, `CNAME ${target}`);
+      } else {
+        entry.conflict = dnsConflict;
+        entry.change = dnsConflictChange(hostname, records, target, dnsConflict);
+      }
+    } catch (error) {
+      entry.error = error.message;
+      entry.change = change('create', 'dns', hostname, `CNAME ${target} (zone lookup failed: ${error.message})`);
+    }
+    dnsRecords.push(entry);
+  }
+
+  // Remote mode: the desired state is the shared configuration with this runner's rules merged in
+  let previousIngress;
+  let ingressRules = ingress;
+  if (remote) {
+    const remoteConfig = tunnel.id ? await client.getTunnelConfiguration(tunnel.id) : null;
+    previousIngress = remoteConfig ? remoteConfig.ingress || [] : null;
+    ingressRules = mergeIngress(previousIngress, ingress, previouslyOwned);
+  } else {
+    previousIngress = readPreviousIngress(previousConfigPath);
+  }
+
+  const ingressChanges = diffIngress(ingressRules, previousIngress);
+  const changes = [tunnel.change, ...accessApps.map(entry => entry.change), ...dnsRecords.map(entry => entry.change), ...ingressChanges];
+
+  return {
+    tunnel,
+    accessApps,
+    dnsRecords,
+    ingress: ingressChanges,
+    ingressRules,
+    changes,
+    summary: {
+      create: changes.filter(c => c.action === 'create').length,
+      update: changes.filter(c => c.action === 'update').length,
+      delete: changes.filter(c => c.action === 'delete').length,
+      unchanged: changes.filter(c => c.action === 'noop').length
+    }
+  };
+}
+
+/**
+ * Combine per-tunnel diffs into a single diff
+ * @param {object[]} diffs - Results of diffPlan(), one per tunnel
+ * @returns {object} Diff with tunnels, changes and summary
+ */
+function combineDiffs(diffs) {
+  const changes = diffs.flatMap(diff => diff.changes);
+  const summary = { create: 0, update: 0, delete: 0, unchanged: 0 };
+  diffs.forEach((diff) => {
+    Object.keys(summary).forEach((key) => {
+      summary[key] += diff.summary[key];
+    });
+  });
+  return { tunnels: diffs, changes, summary };
+}
+
+/**
+ * Format a single change as a diff line
+ * @param {object} item - Change
+ * @returns {string} Diff line
+ */
+function formatChange(item) {
+  return `${item.marker} ${item.type} ${item.name}${item.detail ? ` (${item.detail})` : ''}`;
+}
+
+/**
+ * Log a diff with +/~/- markers
+ * @param {object} diff - Result of diffPlan() or combineDiffs()
+ * @param {object} logger - Logger
+ */
+function logDiff(diff, logger) {
+  logger.section('Planned Changes');
+  diff.changes.forEach((item) => {
+    const line = formatChange(item);
+    if (item.action === 'noop') {
+      logger.verbose(line);
+    } else {
+      logger.info(line);
+    }
+  });
+  const { create, update, delete: destroy, unchanged } = diff.summary;
+  logger.info(`Plan: ${create} to add, ${update} to change, ${destroy} to destroy, ${unchanged} unchanged`);
+}
+
 module.exports = {
-  plan
+  plan,
+  deriveEphemeralTunnelName,
+  diffPlan,
+  diffIngress,
+  mergeIngress,
+  ingressKey,
+  combineDiffs,
+  formatChange,
+  logDiff,
+  NEW_TUNNEL_ID,
+  DEFAULT_FALLBACK_SERVICE
 };
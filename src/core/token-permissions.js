@@ -0,0 +1,172 @@
+const { CloudflareApiError } = require('../utils/errors');
+const { isZoneId } = require('./zone-match');
+
+/**
+ * Scoped API token (CLOUDFLARED_API_TOKEN) verification
+ * Checks at startup that the token is active and carries the permissions the plan needs
+ */
+
+const ACCESS_LEVELS = {
+  Read: ['Read', 'Write', 'Edit'],
+  Edit: ['Write', 'Edit']
+};
+
+/**
+ * Permissions needed for a run
+ * @param {object} config - Parsed config
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Dry runs only read
+ * @returns {object[]} Required permissions ({ scope, group, access, reason })
+ */
+function getRequiredPermissions(config, options = {}) {
+  const access = options.dryRun ? 'Read' : 'Edit';
+  const required = [
+    {
+      scope: 'Account',
+      group: 'Cloudflare Tunnel',
+      access,
+      reason: options.dryRun ? 'look up tunnels' : 'create tunnels and fetch their tokens'
+    },
+    {
+      scope: 'Zone',
+      group: 'DNS',
+      access,
+      reason: options.dryRun ? 'look up DNS records' : 'create CNAME records for the hostnames'
+    }
+  ];
+  if (config.tunnels.some(tunnel => tunnel.access)) {
+    required.push({
+      scope: 'Account',
+      group: 'Access: Apps and Policies',
+      access,
+      reason: options.dryRun ? 'look up Access applications' : 'protect hostnames with Access applications'
+    });
+  }
+  if (config.accessServiceToken) {
+    required.push({
+      scope: 'Account',
+      group: 'Access: Service Tokens',
+      access,
+      reason: options.dryRun ? 'look up Access service tokens' : 'issue the Access service token for later CI steps'
+    });
+  }
+  // Zone IDs given per service or as CLOUDFLARED_ZONE_ID make zone lookups unnecessary
+  const needsZoneLookup = config.tunnels.some(tunnel => (tunnel.zone ? !isZoneId(tunnel.zone) : !config.zoneId));
+  if (needsZoneLookup) {
+    required.push({ scope: 'Zone', group: 'Zone', access: 'Read', reason: 'resolve zone IDs; not needed when every service has a zone ID' });
+  }
+  return required;
+}
+
+function formatPermission(permission) {
+  return `${permission.scope} > ${permission.group}: ${permission.access} (${permission.reason})`;
+}
+
+/**
+ * Compare token policies with the required permissions
+ * Permission group names look like "Cloudflare Tunnel Write" or "DNS Read"
+ * @param {object[]} policies - Token policies from the API
+ * @param {object[]} required - Required permissions
+ * @returns {object[]} Missing permissions
+ */
+function findMissingPermissions(policies, required) {
+  const granted = new Set();
+  (policies || [])
+    .filter(policy => policy.effect !== 'deny')
+    .forEach((policy) => {
+      (policy.permission_groups || []).forEach(group => granted.add(group.name));
+    });
+
+  return required.filter(permission => (
+    !ACCESS_LEVELS[permission.access].some(level => granted.has(`${permission.group} ${level}`))
+  ));
+}
+
+function isPermissionError(error) {
+  return error instanceof CloudflareApiError && (error.statusCode === 401 || error.statusCode === 403);
+}
+
+/**
+ * Probe read access per permission when the token cannot read its own policies
+ * Edit access cannot be probed without side effects, so only missing read access is detected
+ * @param {object} client - CloudflareClient
+ * @param {object} config - Parsed config
+ * @param {object[]} required - Required permissions
+ * @returns {Promise<object[]>} Missing permissions
+ */
+async function probePermissions(client, config, required) {
+  const first = config.tunnels[0] || {};
+  const hostname = (first.hostname || '').replace(/^\*\./, '');
+  let zoneId = (isZoneId(first.zone) && first.zone) || (!first.zone && config.zoneId) || null;
+  const probes = {
+    'Cloudflare Tunnel': () => client.listTunnels({}, { limit: 1, perPage: 1 }),
+    'Access: Apps and Policies': () => client.listAccessApps({}, { limit: 1, perPage: 1 }),
+    'Access: Service Tokens': () => client.listAccessServiceTokens({}, { limit: 1, perPage: 1 }),
+    Zone: async () => { zoneId = await client.getZoneIdByDomain(hostname, first.zone); },
+    // DNS access can only be probed once the zone is known
+    DNS: () => (zoneId ? client.listDnsRecords(zoneId, {}, { limit: 1, perPage: 5 }) : null)
+  };
+
+  const missing = [];
+  const ordered = required.slice().sort((a, b) => (a.group === 'DNS') - (b.group === 'DNS'));
+  for (const permission of ordered) {
+    try {
+      await probes[permission.group]();
+    } catch (error) {
+      if (!isPermissionError(error)) throw error;
+      missing.push(permission);
+    }
+  }
+  return required.filter(permission => missing.includes(permission));
+}
+
+/**
+ * Verify the API token and its permissions
+ * @param {object} client - CloudflareClient
+ * @param {object} config - Parsed config
+ * @param {object} logger - Logger
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Dry runs only need read access
+ * @returns {Promise<object>} Token info ({ id, status, expiresOn, checkedBy })
+ */
+async function verifyApiToken(client, config, logger, options = {}) {
+  logger.info('Verifying CLOUDFLARED_API_TOKEN');
+  const token = await client.verifyToken();
+  if (token.status !== 'active') {
+    throw new CloudflareApiError(`CLOUDFLARED_API_TOKEN is ${token.status || 'not active'}`, 401, token);
+  }
+
+  const required = getRequiredPermissions(config, options);
+  const policies = await client.getTokenPolicies(token);
+  let missing;
+  let checkedBy;
+  if (policies) {
+    missing = findMissingPermissions(policies, required);
+    checkedBy = 'policies';
+  } else {
+    logger.verbose('Token cannot read its own policies, probing read access instead');
+    missing = await probePermissions(client, config, required);
+    checkedBy = 'probe';
+  }
+
+  if (missing.length > 0) {
+    throw new CloudflareApiError(
+      'CLOUDFLARED_API_TOKEN is missing permissions:\n' + missing.map(p => `  - ${formatPermission(p)}`).join('\n'),
+      403,
+      { missingPermissions: missing }
+    );
+  }
+
+  if (checkedBy === 'probe' && required.some(p => p.access === 'Edit')) {
+    logger.warn('Edit permissions of CLOUDFLARED_API_TOKEN could not be checked; required: ' +
+      required.filter(p => p.access === 'Edit').map(p => `${p.scope} > ${p.group}: Edit`).join(', '));
+  }
+  logger.success(`API token verified (ID: ${token.id}${token.expires_on ? `, expires ${token.expires_on}` : ''})`);
+  return { id: token.id, status: token.status, expiresOn: token.expires_on || null, checkedBy };
+}
+
+module.exports = {
+  getRequiredPermissions,
+  findMissingPermissions,
+  verifyApiToken
+};
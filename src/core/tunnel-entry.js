@@ -0,0 +1,222 @@
+const { ConfigError } = require('../utils/errors');
+
+/**
+ * CLOUDFLARED_TUNNEL_N entry parsing
+ * Accepted forms:
+ *   name:hostname:ip:port / name:hostname:protocol:ip:port (ip may be a bracketed IPv6 address)
+ *   name:hostname:<origin URL>, e.g. app:app.example.com:http://[::1]:3000
+ *   name=app,host=app.example.com,origin=http://[::1]:3000 (key=value list, optionally with zone=)
+ *   name:hostname:<service>, where service is unix:<path>, unix+tls:<path> or a built-in
+ *     cloudflared service (hello_world, http_status:<code>, bastion)
+ */
+
+const SERVICE_TYPE_NETWORK = 'network';
+const SERVICE_TYPE_UNIX = 'unix';
+const SERVICE_TYPE_BUILTIN = 'builtin';
+
+const DEFAULT_PORTS = {
+  http: '80',
+  https: '443',
+  ssh: '22',
+  rdp: '3389',
+  smb: '445'
+};
+
+const ENTRY_KEYS = {
+  name: 'name',
+  tunnel: 'name',
+  host: 'hostname',
+  hostname: 'hostname',
+  origin: 'origin',
+  protocol: 'protocol',
+  ip: 'ip',
+  port: 'port',
+  path: 'path',
+  service: 'service',
+  zone: 'zone'
+};
+
+const FORMATS = 'tunnelname:hostname:ip:port, tunnelname:hostname:protocol:ip:port, ' +
+  'tunnelname:hostname:<origin URL> or name=...,host=...,origin=...';
+
+function entryError(index, value, reason) {
+  return new ConfigError(
+    `Invalid tunnel configuration at CLOUDFLARED_TUNNEL_${index}: ${value}. ${reason}. ` +
+    `Expected format: ${FORMATS}`
+  );
+}
+
+function stripBrackets(host) {
+  return host.startsWith('[') && host.endsWith(']') ? host.slice(1, -1) : host;
+}
+
+/**
+ * Format an origin address for use in a URL (IPv6 addresses get brackets)
+ * @param {string} ip - Address or host name
+ * @returns {string} URL host
+ */
+function formatOriginHost(ip) {
+  return ip.includes(':') && !ip.startsWith('[') ? `[${ip}]` : ip;
+}
+
+/**
+ * Classify a non-network service string
+ * @param {string} service - Service string
+ * @returns {{type: string, service: string}|null} Service type, null for network origins
+ */
+function classifyService(service) {
+  const value = String(service || '').trim();
+  if (/^unix(\+tls)?:/.test(value)) {
+    return { type: SERVICE_TYPE_UNIX, service: value };
+  }
+  if (value === 'hello_world' || value === 'bastion' || /^http_status:/.test(value)) {
+    return { type: SERVICE_TYPE_BUILTIN, service: value };
+  }
+  return null;
+}
+
+/**
+ * Split an origin URL into protocol, ip and port
+ * @param {string} origin - Origin URL
+ * @returns {{protocol: string, ip: string, port: string}|null} Origin parts, null if not a valid URL
+ */
+function parseOrigin(origin) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    return null;
+  }
+  const protocol = url.protocol.replace(/:$/, '');
+  return {
+    protocol,
+    ip: stripBrackets(url.hostname),
+    port: url.port || DEFAULT_PORTS[protocol] || ''
+  };
+}
+
+/**
+ * Split colon syntax while keeping bracketed IPv6 addresses together
+ * @param {string} value - Entry value
+ * @returns {string[]} Parts
+ */
+function splitColonParts(value) {
+  const parts = [];
+  let current = '';
+  let inBrackets = false;
+  for (const char of value) {
+    if (char === '[') inBrackets = true;
+    if (char === ']') inBrackets = false;
+    if (char === ':' && !inBrackets) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function parseKeyValueEntry(value, index) {
+  const fields = {};
+  value.split(',').forEach((pair) => {
+    if (!pair.trim()) return;
+    const separator = pair.indexOf('=');
+    const key = separator === -1 ? pair.trim() : pair.slice(0, separator).trim();
+    if (separator === -1 || !ENTRY_KEYS[key]) {
+      throw entryError(index, value, `Unknown or malformed field "${pair.trim()}"`);
+    }
+    fields[ENTRY_KEYS[key]] = pair.slice(separator + 1).trim();
+  });
+
+  const special = classifyService(fields.service || fields.origin);
+  if (special) {
+    return { name: fields.name || '', hostname: fields.hostname || '', protocol: '', ip: '', port: '', path: fields.path || '', zone: fields.zone || '', ...special };
+  }
+  if (fields.service) {
+    throw entryError(index, value, `Unknown service ${fields.service}, use origin= for network origins`);
+  }
+
+  const origin = fields.origin ? parseOrigin(fields.origin) : {};
+  if (!origin) {
+    throw entryError(index, value, `Origin ${fields.origin} is not a valid URL`);
+  }
+  return {
+    name: fields.name || '',
+    hostname: fields.hostname || '',
+    protocol: fields.protocol || origin.protocol || '',
+    ip: stripBrackets(fields.ip || origin.ip || 'localhost'),
+    port: fields.port || origin.port || '',
+    path: fields.path || '',
+    zone: fields.zone || ''
+  };
+}
+
+function parseColonEntry(value, index) {
+  // name:hostname:<unix socket or built-in service>
+  const serviceMatch = value.match(/^([^:]*):([^:]*):(.+)$/);
+  const special = serviceMatch && classifyService(serviceMatch[3]);
+  if (special) {
+    return { name: serviceMatch[1], hostname: serviceMatch[2], protocol: '', ip: '', port: '', path: '', ...special };
+  }
+
+  // name:hostname:<origin URL>
+  const urlMatch = value.match(/^([^:]*):([^:]*):([a-z][a-z0-9+.-]*:\/\/.+)$/i);
+  if (urlMatch) {
+    const origin = parseOrigin(urlMatch[3]);
+    if (!origin) {
+      throw entryError(index, value, `Origin ${urlMatch[3]} is not a valid URL`);
+    }
+    return { name: urlMatch[1], hostname: urlMatch[2], ...origin, path: '' };
+  }
+
+  const parts = splitColonParts(value);
+  if (parts.length !== 4 && parts.length !== 5) {
+    throw entryError(index, value, 'Wrong number of fields (IPv6 origins must be bracketed, e.g. [::1])');
+  }
+
+  let name, hostname, protocol = '', ip, port;
+  if (parts.length === 5) {
+    [name, hostname, protocol, ip, port] = parts;
+  } else {
+    [name, hostname, ip, port] = parts;
+  }
+  return { name, hostname, protocol, ip: stripBrackets(ip.trim()), port, path: '' };
+}
+
+/**
+ * Parse a CLOUDFLARED_TUNNEL_N value into a tunnel entry
+ * @param {string} value - Env value
+ * @param {number} index - N
+ * @returns {object} Tunnel entry
+ */
+function parseTunnelEntry(value, index) {
+  const trimmed = String(value).trim();
+  const isKeyValue = /^[a-z]+=/i.test(trimmed);
+  const fields = isKeyValue ? parseKeyValueEntry(trimmed, index) : parseColonEntry(trimmed, index);
+
+  return {
+    index,
+    source: `CLOUDFLARED_TUNNEL_${index}`,
+    name: fields.name.trim(),
+    hostname: fields.hostname.trim(),
+    protocol: fields.protocol.trim(),
+    ip: fields.ip.trim(),
+    port: String(fields.port).trim(),
+    path: fields.path.trim(),
+    zone: (fields.zone || '').trim(),
+    type: fields.type || SERVICE_TYPE_NETWORK,
+    service: fields.service || ''
+  };
+}
+
+module.exports = {
+  SERVICE_TYPE_NETWORK,
+  SERVICE_TYPE_UNIX,
+  SERVICE_TYPE_BUILTIN,
+  parseTunnelEntry,
+  classifyService,
+  parseOrigin,
+  formatOriginHost
+};
@@ -1,13 +1,23 @@
 const path = require("path");
 const fs = require("fs");
 const CloudflareClient = require("./cloudflare-client");
+const { isRemotelyManaged } = CloudflareClient;
 const CloudflaredInstaller = require("./cloudflared-installer");
-const { getCredentialsDir, getConfigDir, getCloudflaredLogsDir, getPidDir, getDataServicesDir, getTmpDir, getBinDir } = require("./config");
+const { plan: buildPlan, diffPlan, combineDiffs, mergeIngress, ingressKey, logDiff, formatChange, NEW_TUNNEL_ID, DEFAULT_FALLBACK_SERVICE } = require("./plan");
+const { formatOriginHost, SERVICE_TYPE_NETWORK } = require("./tunnel-entry");
+const { compareHostnameSpecificity, isWildcardHostname, validateWildcardHostname, getWildcardDepth } = require("./hostname-template");
+const { isZoneId, findZoneForHostname } = require("./zone-match");
+const { verifyApiToken } = require("./token-permissions");
+const { buildAccessPolicies, describeAccess } = require("./access");
+const { getCredentialsDir, getConfigDir, getCloudflaredLogsDir, getPidDir, getDataServicesDir, getTmpDir, getBinDir, getStateDir, getStateFilePath, getTunnelFiles } = require("./config");
 const { ensureDir, writeJson, writeText, readText, verifyPermissions, isWindows } = require("../adapters/fs-adapter");
-const { updateCloudflaredMetadata } = require("../adapters/metadata-adapter");
-const { spawnDetached } = require("../adapters/process-adapter");
+const { updateCloudflaredMetadata, getCloudflaredTunnels } = require("../adapters/metadata-adapter");
+const { readState, recordCreatedResource } = require("../adapters/state-adapter");
+const { setJobVariable } = require("../adapters/ci-output-adapter");
+const { spawnDetached, getFreePort } = require("../adapters/process-adapter");
+const { checkReady } = require("../adapters/http-adapter");
 const { sleep } = require("../utils/time");
-const { ProcessError } = require("../utils/errors");
+const { ProcessError, ValidationError } = require("../utils/errors");
 const { isProcessRunning } = require("../adapters/process-adapter");
 
 /**
@@ -21,7 +31,23 @@ class TunnelManager {
     this.logger = logger;
     this.client = new CloudflareClient(config, logger);
     this.installer = new CloudflaredInstaller(config, logger);
-    this.tunnelData = null;
+    this.tunnels = [];
+    this.diff = null;
+    this.tokenInfo = null;
+  }
+
+  /**
+   * Verify CLOUDFLARED_API_TOKEN and its permissions (Global API Key credentials are not checked)
+   * @param {object} options - Options
+   * @param {boolean} options.dryRun - Only read permissions are needed
+   * @returns {Promise<object|null>} Token info, null when the Global API Key is used
+   */
+  async verifyCredentials(options = {}) {
+    if (!this.client.usesApiToken()) {
+      return null;
+    }
+    this.tokenInfo = await verifyApiToken(this.client, this.config, this.logger, options);
+    return this.tokenInfo;
   }
 
   /**
@@ -31,30 +57,163 @@ class TunnelManager {
   async execute() {
     this.logger.section("Starting Cloudflare Tunnel Setup");
 
-    // Step 1: Install cloudflared if needed
+    // Step 0: Fail fast when a scoped API token lacks permissions
+    await this.verifyCredentials();
+
+    // Step 1: Diff desired state against the account (read-only), failing before anything is installed or started
+    const plan = this.getPlan();
+    if (!this.config.tokenOnly) {
+      await this.checkWildcardZones(plan);
+      this.diff = await this.computeDiff(plan);
+      logDiff(this.diff, this.logger);
+      this.checkDiff(this.diff);
+    }
+
+    // Step 2: Install cloudflared if needed
     await this.installer.install();
 
-    // Step 2: Setup directories
+    // Step 3: Setup directories
     this.setupDirectories();
 
-    // Step 3: Process tunnel and services plan
-    const plan = this.config.plan || {
-      tunnelName: this.config.tunnels[0]?.name,
-      services: this.config.tunnels
-    };
-    await this.processTunnel(plan);
+    // Step 4: Process each tunnel and its services
+    if (this.config.tokenOnly) {
+      this.tunnels.push(this.processTokenOnlyTunnel(plan.tunnels[0], await getFreePort()));
+    } else {
+      for (const tunnelPlan of plan.tunnels) {
+        this.tunnels.push(await this.processTunnel(tunnelPlan));
+      }
 
-    // Step 4: Generate config file
-    await this.generateConfigFile();
+      // Step 5: Generate one config file per tunnel, or push the ingress rules in remote mode
+      if (this.isRemoteConfig()) {
+        this.logger.section("Pushing Remote Tunnel Configuration");
+        for (const tunnelData of this.tunnels) {
+          await this.pushRemoteConfiguration(tunnelData);
+        }
+      } else {
+        this.logger.section("Generating Cloudflared Configuration");
+        for (const tunnelData of this.tunnels) {
+          await this.generateConfigFile(tunnelData);
+        }
+      }
+    }
 
-    // Step 5: Start all tunnels
+    // Step 6: Start all tunnels
     await this.startTunnels();
 
-    // Step 6: Verify tunnels are running
+    // Step 7: Verify tunnels are running
     await this.verifyTunnels();
     
-    // Step 7: Update metadata for remote management
-    await this.updateMetadata();
+    try {
+      // Step 8: Issue an Access service token for later CI steps
+      if (this.config.accessServiceToken) {
+        await this.issueAccessServiceToken();
+      }
+    } finally {
+      // Step 9: Update metadata for remote management, also when step 8 failed so stop can tear the running tunnels down
+      await this.updateMetadata();
+    }
+  }
+
+  /**
+   * Get planned tunnel configuration
+   * @returns {object} Plan
+   */
+  getPlan() {
+    // Built once: ephemeral tunnel names are random
+    if (!this.plan) {
+      this.plan = this.config.plan || buildPlan(this.config);
+    }
+    return this.plan;
+  }
+
+  /**
+   * Check wildcard hostnames without a configured zone name against the account's zones
+   * validate() cannot tell their zone without the API, so it only checks the wildcard's position
+   * @param {object} plan - Plan
+   * @returns {Promise<void>}
+   */
+  async checkWildcardZones(plan) {
+    const services = plan.tunnels
+      .flatMap((tunnelPlan) => tunnelPlan.services)
+      .filter((service) => isWildcardHostname(service.hostname))
+      .filter((service) => !(service.zone && !isZoneId(service.zone)) && !this.config.zoneName);
+    if (services.length === 0) {
+      return;
+    }
+
+    let zones;
+    try {
+      zones = await this.client.listZones();
+    } catch (error) {
+      this.logger.warn(`Could not list zones to check wildcard hostnames: ${error.message}`);
+      return;
+    }
+
+    const errors = [];
+    services.forEach((service) => {
+      const zoneId = isZoneId(service.zone) ? service.zone : this.config.zoneId;
+      const zone = zoneId ? zones.find((z) => z.id === zoneId) : findZoneForHostname(zones, service.hostname);
+      if (!zone) {
+        errors.push(zoneId ? `${service.hostname}: zone ${zoneId} not found in account` : `wildcard ${service.hostname} is not inside any zone of the account`);
+        return;
+      }
+      const wildcardError = validateWildcardHostname(service.hostname, zone.name);
+      if (wildcardError) {
+        errors.push(wildcardError);
+      } else if (getWildcardDepth(service.hostname, zone.name) > 0) {
+        this.logger.warn(`Wildcard ${service.hostname} is more than one level below the zone; Cloudflare's Universal SSL certificate does not cover it (an advanced certificate is required)`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError("Wildcard hostname validation failed:\n" + errors.map((e) => `  - ${e}`).join("\n"));
+    }
+  }
+
+  /**
+   * Get runtime file paths of a planned tunnel
+   * @param {object} tunnelPlan - Tunnel entry of the plan
+   * @returns {{configFile: string, pidFile: string, logFile: string}} File paths
+   */
+  getTunnelFiles(tunnelPlan) {
+    return getTunnelFiles(this.config.cwd, tunnelPlan.configuredName || tunnelPlan.tunnelName);
+  }
+
+  /**
+   * Whether ingress rules are pushed to the tunnel configuration API instead of a local config.yml
+   * @returns {boolean} True in remote config mode
+   */
+  isRemoteConfig() {
+    return this.config.configMode === "remote";
+  }
+
+  /**
+   * Rule keys this runner pushed to a remote tunnel configuration in a previous run, from metadata
+   * @param {string} tunnelName - Tunnel name
+   * @returns {string[]} Rule keys
+   */
+  getPreviouslyOwnedRules(tunnelName) {
+    const previous = getCloudflaredTunnels().find((tunnel) => tunnel.tunnelName === tunnelName);
+    return (previous && previous.remoteRules) || [];
+  }
+
+  /**
+   * Diff each planned tunnel against the account and its previous config file (or remote configuration)
+   * @param {object} plan - Planned tunnel configuration
+   * @returns {Promise<object>} Combined diff
+   */
+  async computeDiff(plan) {
+    const diffs = [];
+    for (const tunnelPlan of plan.tunnels) {
+      diffs.push(await diffPlan(tunnelPlan, this.client, {
+        ingress: this.buildIngress(tunnelPlan.services, { inlineOriginRequest: this.isRemoteConfig() }),
+        previousConfigPath: this.getTunnelFiles(tunnelPlan).configFile,
+        remote: this.isRemoteConfig(),
+        dnsConflict: this.config.dnsConflict,
+        previouslyOwned: this.isRemoteConfig() ? this.getPreviouslyOwnedRules(tunnelPlan.tunnelName) : []
+      }));
+    }
+    return combineDiffs(diffs);
   }
 
   /**
@@ -70,7 +229,8 @@ class TunnelManager {
       getPidDir(this.config.cwd),
       getDataServicesDir(this.config.cwd),
       getTmpDir(this.config.cwd),
-      getBinDir(this.config.cwd)
+      getBinDir(this.config.cwd),
+      getStateDir(this.config.cwd)
     ];
 
     dirs.forEach((dir) => {
@@ -82,15 +242,28 @@ class TunnelManager {
   }
 
   /**
-   * Process single tunnel configuration with multiple services
-   * @param {object} plan - Planned tunnel configuration
-   * @returns {Promise<void>}
+   * Process one tunnel configuration with its services
+   * @param {object} tunnelPlan - Tunnel entry of the plan
+   * @returns {Promise<object>} Tunnel data
    */
-  async processTunnel(plan) {
-    this.logger.section(`Processing Tunnel: ${plan.tunnelName}`);
-
-    // Get or create tunnel
-    const tunnelInfo = await this.client.getOrCreateTunnel(plan.tunnelName);
+  async processTunnel(tunnelPlan) {
+    this.logger.section(`Processing Tunnel: ${tunnelPlan.tunnelName}`);
+
+    // Get or create tunnel (ephemeral runs always get a fresh tunnel with a real secret)
+    const remote = this.isRemoteConfig();
+    const tunnelInfo = tunnelPlan.ephemeral
+      ? await this.client.createTunnel(tunnelPlan.tunnelName, { remote })
+      : await this.client.getOrCreateTunnel(tunnelPlan.tunnelName, { remote });
+    if (remote && !tunnelInfo.created) {
+      this.checkRemotelyManaged(tunnelInfo.name, tunnelInfo.id, isRemotelyManaged(tunnelInfo));
+    }
+    if (tunnelInfo.created) {
+      recordCreatedResource(getStateFilePath(this.config.cwd), "tunnels", {
+        id: tunnelInfo.id,
+        name: tunnelInfo.name,
+        deleteOnStop: !!tunnelPlan.ephemeral
+      });
+    }
 
     // Get tunnel token for fallback usage
     let token = this.config.tunnelToken;
@@ -102,23 +275,55 @@ class TunnelManager {
       this.logger.success("Tunnel token retrieved (will be masked in logs)");
     }
 
-    // Create credentials file
-    await this.createCredentialsFile(tunnelInfo, token);
+    // Create credentials file (remote mode runs with the token only)
+    if (!this.isRemoteConfig()) {
+      await this.createCredentialsFile(tunnelInfo, token);
+    }
+
+    // Protect hostnames with Access before their DNS records make them reachable
+    const access = await this.setupAccessApps(tunnelPlan);
 
-    // Setup DNS record
-    for (const service of plan.services) {
-      await this.setupDnsRecord(service.hostname, tunnelInfo.id);
+    // Setup DNS record (once per hostname, several path rules may share it)
+    const zones = new Map(tunnelPlan.services.map(service => [service.hostname, service.zone]));
+    for (const [hostname, zone] of zones) {
+      await this.setupDnsRecord(hostname, tunnelInfo.id, tunnelPlan.ephemeral, zone);
     }
 
-    // Store tunnel data
-    this.tunnelData = {
+    this.logger.success(`Tunnel ${tunnelPlan.tunnelName} processed successfully`);
+
+    return {
       tunnelInfo,
       token,
-      credentialsPath: this.getCredentialsPath(tunnelInfo.id),
-      services: plan.services
+      credentialsPath: this.isRemoteConfig() ? null : this.getCredentialsPath(tunnelInfo.id),
+      services: tunnelPlan.services,
+      access,
+      files: this.isRemoteConfig() ? { ...this.getTunnelFiles(tunnelPlan), configFile: null } : this.getTunnelFiles(tunnelPlan),
+      pid: null
     };
+  }
 
-    this.logger.success(`Tunnel ${plan.tunnelName} processed successfully`);
+  /**
+   * Prepare the tunnel of token-only mode: no API calls, no credentials file and no local ingress
+   * cloudflared runs with the token and serves metrics so it can be verified without the API
+   * @param {object} tunnelPlan - Tunnel entry of the plan
+   * @param {number} metricsPort - Free local port for the cloudflared metrics server
+   * @returns {object} Tunnel data
+   */
+  processTokenOnlyTunnel(tunnelPlan, metricsPort) {
+    this.logger.section(`Processing Tunnel: ${tunnelPlan.tunnelName}`);
+    this.logger.info(`Token-only mode: tunnel ${tunnelPlan.tunnelId} decoded from CLOUDFLARED_TUNNEL_TOKEN`);
+    this.logger.info("Skipping tunnel lookup, DNS records and config file; ingress is managed in the Cloudflare dashboard");
+
+    return {
+      tunnelInfo: { id: tunnelPlan.tunnelId, name: tunnelPlan.tunnelName, accountTag: tunnelPlan.accountTag },
+      token: this.config.tunnelToken,
+      credentialsPath: null,
+      services: [],
+      files: { ...this.getTunnelFiles(tunnelPlan), configFile: null },
+      tokenOnly: true,
+      metricsAddress: `127.0.0.1:${metricsPort}`,
+      pid: null
+    };
   }
 
   /**
@@ -167,64 +372,363 @@ class TunnelManager {
     return path.join(getCredentialsDir(this.config.cwd), `${tunnelId}.json`);
   }
 
+  /**
+   * Fail on problems the diff reveals, before anything is installed or started
+   * @param {object} diff - Combined diff
+   */
+  checkDiff(diff) {
+    if (this.isRemoteConfig()) {
+      diff.tunnels.forEach(({ tunnel }) => this.checkRemotelyManaged(tunnel.name, tunnel.id, tunnel.remoteConfig));
+    }
+    if (this.config.accessServiceToken) {
+      this.checkServiceTokenPlacement(diff);
+    }
+  }
+
+  /**
+   * Remote mode only works with remotely managed tunnels: a locally managed tunnel ignores the pushed configuration
+   * and cloudflared, started with the token only, would have no ingress rules
+   * @param {string} name - Tunnel name
+   * @param {string|null} id - ID of the existing tunnel, null when it will be created
+   * @param {boolean} remotelyManaged - Whether the tunnel takes its configuration from Cloudflare
+   */
+  checkRemotelyManaged(name, id, remotelyManaged) {
+    if (!id || remotelyManaged) {
+      return;
+    }
+    throw new ValidationError(
+      `Tunnel ${name} (ID: ${id}) is locally managed, but CLOUDFLARED_CONFIG_MODE=remote needs a remotely managed tunnel. ` +
+      "Migrate it in the Cloudflare dashboard (Networks > Tunnels > Migrate), use another tunnel name, or use CLOUDFLARED_CONFIG_MODE=local"
+    );
+  }
+
+  /**
+   * IDs of Access applications created by this tool, also by earlier runs (recorded in the state file)
+   * @returns {Set<string>} Application IDs
+   */
+  getOwnedAccessAppIds() {
+    return new Set(readState(getStateFilePath(this.config.cwd)).accessApps.map((app) => app.id));
+  }
+
+  /**
+   * Check that the Access service token can be allowed on at least one hostname
+   * Runs on the diff, before cloudflared is installed or started: applications that are not owned by this tool are never changed
+   * @param {object} diff - Combined diff
+   */
+  checkServiceTokenPlacement(diff) {
+    const owned = this.getOwnedAccessAppIds();
+    const apps = diff.tunnels.flatMap((tunnelDiff) => tunnelDiff.accessApps);
+    const placeable = apps.filter((entry) => !entry.appId || owned.has(entry.appId));
+    apps.filter((entry) => !placeable.includes(entry)).forEach((entry) => {
+      this.logger.warn(`Access application for ${entry.hostname} was not created by this tool; the service token will not be added to its policies`);
+    });
+    if (placeable.length === 0) {
+      throw new ValidationError(
+        "CLOUDFLARED_ACCESS_SERVICE_TOKEN: every Access application of this run was created outside this tool, so the token would not be allowed on any hostname. " +
+        "Add a Service Auth policy to those applications yourself or let this tool create them"
+      );
+    }
+  }
+
+  /**
+   * Create (or reuse) an Access application for every hostname with access settings
+   * Errors are not caught: a hostname that should be protected must not be exposed without it
+   * @param {object} tunnelPlan - Tunnel entry of the plan
+   * @returns {Promise<object[]>} Protected hostnames ({ hostname, appId, created, owned })
+   */
+  async setupAccessApps(tunnelPlan) {
+    const ownedIds = this.getOwnedAccessAppIds();
+    const protectedHosts = new Map();
+    tunnelPlan.services
+      .filter(service => service.access)
+      .forEach(service => protectedHosts.set(service.hostname, service.access));
+
+    const apps = [];
+    for (const [hostname, access] of protectedHosts) {
+      this.logger.info(`Setting up Access application for ${hostname} (${describeAccess(access)})...`);
+      const app = await this.client.getOrCreateAccessApp(hostname, buildAccessPolicies(access, hostname));
+      if (app.created) {
+        recordCreatedResource(getStateFilePath(this.config.cwd), "accessApps", {
+          id: app.id,
+          name: hostname,
+          deleteOnStop: !!tunnelPlan.ephemeral
+        });
+      } else if (ownedIds.has(app.id)) {
+        this.logger.info(`Reusing Access application for ${hostname} created by an earlier run`);
+      } else {
+        this.logger.warn(`Access application for ${hostname} already exists; its policies are kept, configured access settings are not applied`);
+      }
+      apps.push({ hostname, appId: app.id, created: !!app.created, owned: !!app.created || ownedIds.has(app.id) });
+    }
+    return apps;
+  }
+
+  /**
+   * Issue a short-lived Access service token allowed on the Access applications created by this tool
+   * (this run or an earlier one); other applications are left untouched, as promised by setupAccessApps()
+   * Client ID and secret are exported as masked CI variables (CF_ACCESS_CLIENT_ID, CF_ACCESS_CLIENT_SECRET)
+   * and written to the credentials directory; the token is revoked by cloudflared-tunnel-stop
+   * @returns {Promise<object>} Token info without the secret
+   */
+  async issueAccessServiceToken() {
+    this.logger.section("Issuing Access Service Token");
+
+    const allApps = this.tunnels.flatMap((tunnelData) => tunnelData.access || []);
+    const apps = allApps.filter((app) => app.owned);
+    allApps.filter((app) => !app.owned).forEach((app) => {
+      this.logger.warn(`Access application for ${app.hostname} was not created by this tool; the service token is not added to its policies`);
+    });
+    // checkServiceTokenPlacement() ran before start; this only catches applications that changed since the diff
+    if (apps.length === 0) {
+      throw new ValidationError("CLOUDFLARED_ACCESS_SERVICE_TOKEN: none of the Access applications of this run was created by this tool");
+    }
+
+    const name = `${this.tunnels[0].tunnelInfo.name}-ci-${Date.now()}`;
+    const duration = this.config.accessServiceTokenDuration;
+    const token = await this.client.createAccessServiceToken(name, duration);
+
+    const policies = [];
+    try {
+      for (const app of apps) {
+        const policy = await this.client.addServiceTokenPolicy(app.appId, token.id, name);
+        policies.push({ appId: app.appId, policyId: policy.id, hostname: app.hostname });
+        this.logger.info(`Service token allowed on ${app.hostname}`);
+      }
+    } catch (error) {
+      // Revoke right away: a token that is not allowed anywhere is useless
+      for (const policy of policies) {
+        await this.client.deleteAccessPolicy(policy.appId, policy.policyId).catch(() => {});
+      }
+      await this.client.deleteAccessServiceToken(token.id).catch(() => {});
+      throw error;
+    }
+
+    // Recorded before anything else can fail, so cloudflared-tunnel-stop can always revoke the live token
+    const file = path.join(getCredentialsDir(this.config.cwd), "access-service-token.json");
+    recordCreatedResource(getStateFilePath(this.config.cwd), "accessServiceTokens", {
+      id: token.id,
+      name,
+      policies,
+      file,
+      deleteOnStop: true
+    });
+    writeJson(file, {
+      clientId: token.client_id,
+      clientSecret: token.client_secret,
+      expiresAt: token.expires_at || null,
+      hostnames: apps.map((app) => app.hostname)
+    }, 0o600);
+
+    const ci = setJobVariable("CF_ACCESS_CLIENT_ID", token.client_id, { secret: true });
+    setJobVariable("CF_ACCESS_CLIENT_SECRET", token.client_secret, { secret: true });
+
+    this.logger.info(`Client ID: ${this.logger.maskSensitive(token.client_id, { showStart: 4, showEnd: 7 })}, expires ${token.expires_at || `in ${duration}`}`);
+    if (ci) {
+      this.logger.success("Exported CF_ACCESS_CLIENT_ID and CF_ACCESS_CLIENT_SECRET to later steps (masked)");
+    } else {
+      this.logger.info(`Not running in GitHub Actions or Azure Pipelines; credentials written to ${file}`);
+    }
+
+    this.accessServiceToken = {
+      id: token.id,
+      name,
+      expiresAt: token.expires_at || null,
+      hostnames: apps.map((app) => app.hostname),
+      variables: ["CF_ACCESS_CLIENT_ID", "CF_ACCESS_CLIENT_SECRET"],
+      exportedTo: ci,
+      file
+    };
+    return this.accessServiceToken;
+  }
+
+  /**
+   * Access protection of a hostname for metadata and reports
+   * @param {object} tunnelData - Processed tunnel
+   * @param {string} hostname - Hostname
+   * @returns {object} Protection status ({ protected, appId, created })
+   */
+  getAccessStatus(tunnelData, hostname) {
+    const app = (tunnelData.access || []).find(entry => entry.hostname === hostname);
+    return app ? { protected: true, appId: app.appId, created: app.created } : { protected: false };
+  }
+
   /**
    * Setup DNS record for hostname
    * @param {string} hostname - Hostname
    * @param {string} tunnelId - Tunnel ID
+   * @param {boolean} ephemeral - Delete (or restore) the record on stop if it gets created or overwritten
+   * @param {string} zone - Zone name or ID of the service, empty to resolve it from the hostname
    * @returns {Promise<void>}
    */
-  async setupDnsRecord(hostname, tunnelId) {
+  async setupDnsRecord(hostname, tunnelId, ephemeral = false, zone = "") {
     this.logger.info(`Setting up DNS record for ${hostname}...`);
 
     try {
-      await this.client.getOrCreateDnsRecord(hostname, tunnelId);
-      this.logger.success(`DNS record configured for ${hostname}`);
+      const record = await this.client.getOrCreateDnsRecord(hostname, tunnelId, {
+        conflict: this.config.dnsConflict,
+        zone
+      });
+      // Overwritten records (update, replace) are kept in the state file, cleanup puts them back instead of deleting
+      if (record.created || record.action === "update") {
+        recordCreatedResource(getStateFilePath(this.config.cwd), "dnsRecords", {
+          id: record.id,
+          zoneId: record.zoneId,
+          name: hostname,
+          tunnelId,
+          ...(record.previous ? { action: record.action, previous: record.previous } : {}),
+          deleteOnStop: !!ephemeral
+        });
+      }
+      if (record.action !== "skip") {
+        this.logger.success(`DNS record configured for ${hostname}`);
+      }
     } catch (error) {
+      // A conflicting record means traffic would go elsewhere, so it fails the run
+      if (error.response && error.response.dnsConflict) {
+        throw error;
+      }
       this.logger.warn(`Failed to setup DNS record: ${error.message}`);
       this.logger.warn("You may need to manually configure DNS records in Cloudflare dashboard");
     }
   }
 
   /**
-   * Generate cloudflared config file
-   * @returns {Promise<void>}
+   * Generate cloudflared config file for a tunnel
+   * @param {object} tunnelData - Processed tunnel
+   * @returns {Promise<string>} Config file path
    */
-  async generateConfigFile() {
-    this.logger.section("Generating Cloudflared Configuration");
+  async generateConfigFile(tunnelData) {
+    const configPath = tunnelData.files.configFile;
 
-    const configPath = path.join(getConfigDir(this.config.cwd), "config.yml");
+    const yamlContent = this.buildConfigContent(
+      tunnelData.tunnelInfo.id,
+      tunnelData.credentialsPath,
+      tunnelData.services
+    );
 
-    const ingress = [];
+    writeText(configPath, yamlContent, 0o644);
 
-    // Add entries for each service
-    this.tunnelData.services.forEach((tunnel) => {
-      ingress.push({
-        hostname: tunnel.hostname,
-        service: this.buildServiceUrl(tunnel),
-      });
-    });
+    this.logger.success(`Configuration file created: ${configPath}`);
+    this.logger.verbose("Configuration content:");
+    this.logger.verbose(yamlContent);
 
-    // Add catch-all rule
-    ingress.push({
-      service: "http_status:404",
-    });
+    return configPath;
+  }
+
+  /**
+   * Push the ingress rules of a tunnel to its remotely managed configuration
+   * The configuration is re-read right before the update so rules of other runners are kept
+   * @param {object} tunnelData - Processed tunnel
+   * @returns {Promise<object>} Pushed configuration
+   */
+  async pushRemoteConfiguration(tunnelData) {
+    const tunnelId = tunnelData.tunnelInfo.id;
+    const remoteConfig = (await this.client.getTunnelConfiguration(tunnelId)) || {};
+    const ownIngress = this.buildIngress(tunnelData.services, { inlineOriginRequest: true });
+    const ingress = mergeIngress(
+      remoteConfig.ingress,
+      ownIngress,
+      this.getPreviouslyOwnedRules(tunnelData.tunnelInfo.name)
+    );
+
+    // The top-level originRequest of the shared configuration is kept: it applies to other runners' rules too
+    const config = { ...remoteConfig, ingress };
+
+    const pushed = await this.client.updateTunnelConfiguration(tunnelId, config);
+
+    // Remembered in metadata so stop (or the next run) removes exactly these rules
+    tunnelData.remoteRules = ownIngress.filter((rule) => rule.hostname || rule.path).map(ingressKey);
+    const keptRules = ingress.length - ownIngress.length;
+    this.logger.success(`Remote configuration updated for ${tunnelData.tunnelInfo.name}: ${tunnelData.remoteRules.length} rule(s) of this runner, ${keptRules} kept from others`);
+    this.logger.verbose(`Remote configuration: ${JSON.stringify(pushed)}`);
+
+    return pushed;
+  }
 
+  /**
+   * Build cloudflared config.yml content
+   * @param {string} tunnelId - Tunnel ID
+   * @param {string} credentialsPath - Credentials file path
+   * @param {object[]} services - Planned services
+   * @returns {string} YAML content
+   */
+  buildConfigContent(tunnelId, credentialsPath, services) {
     const config = {
-      tunnel: this.tunnelData.tunnelInfo.id,
-      "credentials-file": this.tunnelData.credentialsPath,
-      ingress: ingress,
+      tunnel: tunnelId,
+      "credentials-file": credentialsPath,
     };
 
+    // Global origin settings apply to every rule; per-service settings override them
+    if (this.config.originRequest && Object.keys(this.config.originRequest).length > 0) {
+      config.originRequest = this.config.originRequest;
+    }
+
+    config.ingress = this.buildIngress(services);
+
     // Convert to YAML format manually
-    const yamlContent = this.convertToYaml(config);
+    return this.convertToYaml(config);
+  }
 
-    writeText(configPath, yamlContent, 0o644);
+  /**
+   * Order services from most to least specific, cloudflared uses the first matching rule
+   * Rules of one hostname stay together: path rules first (longest path first), then the bare hostname
+   * Exact hostnames come before wildcards, deeper wildcards before shallower ones
+   * @param {object[]} services - Planned services
+   * @returns {object[]} Ordered services
+   */
+  orderServices(services) {
+    const groups = new Map();
+    services.forEach((service) => {
+      if (!groups.has(service.hostname)) {
+        groups.set(service.hostname, []);
+      }
+      groups.get(service.hostname).push(service);
+    });
 
-    this.logger.success(`Configuration file created: ${configPath}`);
-    this.logger.verbose("Configuration content:");
-    this.logger.verbose(yamlContent);
+    const hostnames = Array.from(groups.keys()).sort(compareHostnameSpecificity);
 
-    return configPath;
+    const specificity = (service) => (service.path ? service.path.length : -1);
+    return hostnames.flatMap((hostname) => (
+      groups.get(hostname).slice().sort((a, b) => specificity(b) - specificity(a))
+    ));
+  }
+
+  /**
+   * Build ingress rules for services, ending with the catch-all rule
+   * @param {object[]} services - Planned services
+   * @param {object} options - Options
+   * @param {boolean} options.inlineOriginRequest - Copy the global origin settings into each rule (remote configuration,
+   *   where the top-level originRequest is shared with other runners)
+   * @returns {object[]} Ingress rules
+   */
+  buildIngress(services, options = {}) {
+    const { inlineOriginRequest = false } = options;
+    const ingress = [];
+
+    // Add entries for each service
+    this.orderServices(services).forEach((tunnel) => {
+      const rule = {
+        hostname: tunnel.hostname,
+      };
+      if (tunnel.path) {
+        rule.path = tunnel.path;
+      }
+      rule.service = this.buildServiceUrl(tunnel);
+      const originRequest = inlineOriginRequest
+        ? { ...(this.config.originRequest || {}), ...(tunnel.originRequest || {}) }
+        : tunnel.originRequest;
+      if (originRequest && Object.keys(originRequest).length > 0) {
+        rule.originRequest = originRequest;
+      }
+      ingress.push(rule);
+    });
+
+    // Add catch-all rule
+    ingress.push({
+      service: this.config.fallback || DEFAULT_FALLBACK_SERVICE,
+    });
+
+    return ingress;
   }
 
   /**
@@ -233,9 +737,25 @@ class TunnelManager {
    * @returns {string} Service URL
    */
   buildServiceUrl(tunnel) {
+    // Unix sockets and built-in services are used verbatim
+    if (tunnel.type && tunnel.type !== SERVICE_TYPE_NETWORK) {
+      return tunnel.service;
+    }
     const normalizedProtocol = this.normalizeProtocol(tunnel.protocol);
     const protocol = normalizedProtocol || this.inferProtocol(tunnel);
-    return `${protocol}://${tunnel.ip}:${tunnel.port}`;
+    return `${protocol}://${formatOriginHost(tunnel.ip)}:${tunnel.port}`;
+  }
+
+  /**
+   * Get the protocol reported for a service (unix, unix+tls or the built-in name for non-network services)
+   * @param {object} tunnel - Tunnel service configuration
+   * @returns {string} Protocol
+   */
+  getServiceProtocol(tunnel) {
+    if (tunnel.type && tunnel.type !== SERVICE_TYPE_NETWORK) {
+      return tunnel.service.split(":")[0];
+    }
+    return this.normalizeProtocol(tunnel.protocol) || this.inferProtocol(tunnel);
   }
 
   /**
@@ -302,7 +822,7 @@ class TunnelManager {
         yaml += `${spaces}${key}:\n`;
         yaml += this.convertToYaml(value, indent + 2);
       } else {
-        yaml += `${spaces}${key}: ${value}\n`;
+        yaml += `${spaces}${key}: ${this.formatYamlScalar(value)}\n`;
       }
     }
 
@@ -310,20 +830,51 @@ class TunnelManager {
   }
 
   /**
-   * Start cloudflared tunnels
+   * Quote string scalars that YAML would otherwise misread (path regexes, numbers, booleans)
+   * @param {*} value - Scalar value
+   * @returns {string} YAML scalar
+   */
+  formatYamlScalar(value) {
+    if (typeof value !== "string") return String(value);
+    const plain = /^[A-Za-z0-9_./@+-][^#]*$/.test(value)
+      && !/: |[\s:]$/.test(value)
+      && !/^(true|false|null|yes|no|on|off|~|-?\d+(\.\d+)?)$/i.test(value);
+    return plain ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Start one cloudflared process per tunnel
    * @returns {Promise<void>}
    */
   async startTunnels() {
     this.logger.section("Starting Cloudflared Tunnels");
 
-    const configPath = path.join(getConfigDir(this.config.cwd), "config.yml");
-    const logPath = path.join(getCloudflaredLogsDir(this.config.cwd), "cloudflared.log");
-    const pidPath = path.join(getPidDir(this.config.cwd), "cloudflared.pid");
-
     const cloudflaredPath = await this.installer.getCloudflaredPath();
 
-    const token = this.tunnelData?.token;
-    this.logger.info(`Starting cloudflared with config: ${configPath}`);
+    for (const tunnelData of this.tunnels) {
+      this.startTunnel(tunnelData, cloudflaredPath);
+    }
+
+    // Wait a bit for processes to start
+    await sleep(3000);
+  }
+
+  /**
+   * Start cloudflared for a single tunnel and write its PID file
+   * @param {object} tunnelData - Processed tunnel
+   * @param {string} cloudflaredPath - Cloudflared binary path
+   */
+  startTunnel(tunnelData, cloudflaredPath) {
+    const { configFile: configPath, logFile: logPath, pidFile: pidPath } = tunnelData.files;
+
+    const token = tunnelData.token;
+    if (tunnelData.tokenOnly) {
+      this.logger.info(`Starting cloudflared for ${tunnelData.tunnelInfo.name} with the tunnel token only (metrics: ${tunnelData.metricsAddress})`);
+    } else if (!configPath) {
+      this.logger.info(`Starting cloudflared for ${tunnelData.tunnelInfo.name} with the remotely managed configuration`);
+    } else {
+      this.logger.info(`Starting cloudflared for ${tunnelData.tunnelInfo.name} with config: ${configPath}`);
+    }
     if (token) {
       this.logger.info("Passing tunnel token to cloudflared run command (token masked in logs).");
     }
@@ -337,10 +888,7 @@ class TunnelManager {
     let child;
     try {
       // Start cloudflared as detached process
-      const args = ["tunnel", "--config", configPath, "run"];
-      if (token) {
-        args.push("--token", token);
-      }
+      const args = this.buildCloudflaredArgs(configPath, token, tunnelData.metricsAddress);
 
       child = spawnDetached(cloudflaredPath, args, {
         cwd: this.config.cwd,
@@ -357,14 +905,33 @@ class TunnelManager {
     writeText(pidPath, child.pid.toString(), 0o644);
     
     // Store PID for metadata
-    this.cloudflaredPid = child.pid;
+    tunnelData.pid = child.pid;
 
     this.logger.success(`Cloudflared started with PID: ${child.pid}`);
     this.logger.info(`Logs: ${logPath}`);
     this.logger.info(`PID file: ${pidPath}`);
+  }
 
-    // Wait a bit for process to start
-    await sleep(3000);
+  /**
+   * Build cloudflared command line arguments
+   * @param {string|null} configPath - Config file path (null in token-only mode)
+   * @param {string} token - Tunnel token
+   * @param {string} metricsAddress - Metrics server address (optional)
+   * @returns {string[]} Arguments
+   */
+  buildCloudflaredArgs(configPath, token, metricsAddress) {
+    const args = ["tunnel"];
+    if (configPath) {
+      args.push("--config", configPath);
+    }
+    if (metricsAddress) {
+      args.push("--metrics", metricsAddress);
+    }
+    args.push("run");
+    if (token) {
+      args.push("--token", token);
+    }
+    return args;
   }
 
   /**
@@ -374,20 +941,33 @@ class TunnelManager {
   async verifyTunnels() {
     this.logger.section("Verifying Tunnel Status");
 
-    const logPath = path.join(getCloudflaredLogsDir(this.config.cwd), "cloudflared.log");
-    const pidPath = path.join(getPidDir(this.config.cwd), "cloudflared.pid");
-    const tunnelId = this.tunnelData?.tunnelInfo?.id;
+    for (const tunnelData of this.tunnels) {
+      await this.verifyTunnel(tunnelData);
+    }
+  }
+
+  /**
+   * Verify a single tunnel process and its connections
+   * @param {object} tunnelData - Processed tunnel
+   * @returns {Promise<void>}
+   */
+  async verifyTunnel(tunnelData) {
+    const { logFile: logPath, pidFile: pidPath } = tunnelData.files;
+    // Token-only mode has no API credentials: verify through the metrics /ready endpoint and the log
+    const tunnelId = tunnelData.tokenOnly ? null : tunnelData.tunnelInfo?.id;
 
     const retries = Math.max(1, this.config.verifyRetries || 1);
     const delayMs = this.config.verifyDelay || 3000;
     let lastLogContent = '';
 
-    if (!tunnelId) {
+    if (tunnelData.tokenOnly) {
+      this.logger.info(`Verifying via metrics endpoint http://${tunnelData.metricsAddress}/ready and logs (no API calls)`);
+    } else if (!tunnelId) {
       this.logger.warn("Tunnel ID not available for API verification.");
     }
 
     for (let attempt = 1; attempt <= retries; attempt++) {
-      this.logger.info(`Waiting for tunnel to initialize (attempt ${attempt}/${retries})...`);
+      this.logger.info(`Waiting for tunnel ${tunnelData.tunnelInfo.name} to initialize (attempt ${attempt}/${retries})...`);
       await sleep(this.config.timeout || 5000);
 
       const pidContent = readText(pidPath);
@@ -431,6 +1011,15 @@ class TunnelManager {
         this.logger.warn("No active tunnel connections reported by API yet.");
       }
 
+      if (tunnelData.metricsAddress) {
+        const readiness = await checkReady(tunnelData.metricsAddress);
+        if (readiness.ready) {
+          this.logger.success(`Tunnel is ready with ${readiness.readyConnections} connection(s) (metrics /ready).`);
+          break;
+        }
+        this.logger.warn("Metrics endpoint does not report the tunnel as ready yet.");
+      }
+
       if (lastLogContent.includes("Registered tunnel connection")) {
         this.logger.success("Tunnel is running successfully!");
         break;
@@ -455,27 +1044,30 @@ class TunnelManager {
     this.logger.section("Updating Metadata for Remote Management");
 
     try {
-      const pidPath = path.join(getPidDir(this.config.cwd), "cloudflared.pid");
-      const configPath = path.join(getConfigDir(this.config.cwd), "config.yml");
-      const logPath = path.join(getCloudflaredLogsDir(this.config.cwd), "cloudflared.log");
-      
+      const startedAt = new Date().toISOString();
       const metadata = {
-        pid: this.cloudflaredPid,
-        tunnelId: this.tunnelData.tunnelInfo.id,
-        tunnelName: this.tunnelData.tunnelInfo.name,
-        services: this.tunnelData.services.map(service => ({
-          hostname: service.hostname,
-          service: this.buildServiceUrl(service),
-          protocol: this.normalizeProtocol(service.protocol) || this.inferProtocol(service)
+        tunnels: this.tunnels.map(tunnelData => ({
+          pid: tunnelData.pid,
+          tunnelId: tunnelData.tunnelInfo.id,
+          tunnelName: tunnelData.tunnelInfo.name,
+          services: tunnelData.services.map(service => ({
+            hostname: service.hostname,
+            path: service.path || undefined,
+            service: this.buildServiceUrl(service),
+            type: service.type || SERVICE_TYPE_NETWORK,
+            protocol: this.getServiceProtocol(service),
+            access: this.getAccessStatus(tunnelData, service.hostname)
+          })),
+          files: {
+            ...tunnelData.files,
+            credentialsFile: tunnelData.credentialsPath
+          },
+          ...(tunnelData.tokenOnly ? { tokenOnly: true, metricsAddress: tunnelData.metricsAddress } : {}),
+          ...(tunnelData.remoteRules ? { configMode: "remote", remoteRules: tunnelData.remoteRules } : {}),
+          startedAt
         })),
-        files: {
-          pidFile: pidPath,
-          configFile: configPath,
-          logFile: logPath,
-          credentialsFile: this.tunnelData.credentialsPath
-        },
         status: "running",
-        startedAt: new Date().toISOString(),
+        startedAt,
         cwd: this.config.cwd
       };
 
@@ -483,8 +1075,10 @@ class TunnelManager {
       
       this.logger.success("Metadata updated at /var/tmp/runner-tailscale-sync-metadata.json");
       this.logger.info("Remote SSH users can:");
-      this.logger.info(`  - View logs: cat ${logPath}`);
-      this.logger.info(`  - Stop tunnel: kill ${this.cloudflaredPid}`);
+      this.tunnels.forEach((tunnelData) => {
+        this.logger.info(`  - View ${tunnelData.tunnelInfo.name} logs: cat ${tunnelData.files.logFile}`);
+      });
+      this.logger.info(`  - Stop tunnel: cloudflared-tunnel-stop --cwd ${this.config.cwd}`);
       this.logger.info(`  - Check metadata: cat /var/tmp/runner-tailscale-sync-metadata.json`);
     } catch (error) {
       this.logger.warn(`Failed to update metadata: ${error.message}`);
@@ -492,6 +1086,111 @@ class TunnelManager {
     }
   }
 
+  /**
+   * Report what execute() would do without changing anything
+   * Only read-only API calls are made: list tunnels, zones and DNS records
+   * @returns {Promise<object>} Dry-run report
+   */
+  async dryRun() {
+    this.logger.section("Dry Run - No Changes Will Be Made");
+
+    await this.verifyCredentials({ dryRun: true });
+
+    const plan = this.getPlan();
+    const cloudflaredPath = (await this.installer.getCloudflaredPath()) || "cloudflared";
+
+    if (this.config.tokenOnly) {
+      return this.dryRunTokenOnly(plan.tunnels[0], cloudflaredPath);
+    }
+
+    await this.checkWildcardZones(plan);
+    this.diff = await this.computeDiff(plan);
+    logDiff(this.diff, this.logger);
+    this.checkDiff(this.diff);
+
+    const tunnels = plan.tunnels.map((tunnelPlan, index) => {
+      const tunnelDiff = this.diff.tunnels[index];
+      const tunnelId = tunnelDiff.tunnel.id || NEW_TUNNEL_ID;
+      const files = this.getTunnelFiles(tunnelPlan);
+      const remote = this.isRemoteConfig();
+      const configContent = remote
+        ? null
+        : this.buildConfigContent(tunnelId, this.getCredentialsPath(tunnelId), tunnelPlan.services);
+      const command = [cloudflaredPath, ...this.buildCloudflaredArgs(remote ? null : files.configFile, "<tunnel-token>")];
+
+      if (remote) {
+        this.logger.info(`Remote configuration for ${tunnelPlan.tunnelName} (not pushed):`);
+        tunnelDiff.ingressRules.forEach((rule) => this.logger.info(`  ${ingressKey(rule)} -> ${rule.service}`));
+      } else {
+        this.logger.info(`Config file for ${tunnelPlan.tunnelName} (not written): ${files.configFile}`);
+        configContent.trimEnd().split("\n").forEach((line) => this.logger.info(`  ${line}`));
+      }
+      this.logger.info(`Command (not started): ${command.join(" ")}`);
+
+      return {
+        name: tunnelDiff.tunnel.name,
+        action: tunnelDiff.tunnel.id ? "reuse" : "create",
+        id: tunnelDiff.tunnel.id,
+        accessApps: tunnelDiff.accessApps.map((entry) => ({
+          hostname: entry.hostname,
+          action: entry.change.action,
+          appId: entry.appId
+        })),
+        dnsRecords: tunnelDiff.dnsRecords.map((entry) => ({
+          hostname: entry.hostname,
+          action: entry.change.action,
+          zoneId: entry.zoneId,
+          content: entry.record ? entry.record.content : entry.target,
+          ...(entry.conflict ? { conflict: entry.conflict } : {})
+        })),
+        configFile: remote ? null : files.configFile,
+        configContent,
+        ...(remote ? { remoteIngress: tunnelDiff.ingressRules } : {}),
+        command
+      };
+    });
+
+    return {
+      dryRun: true,
+      configMode: this.config.configMode || "local",
+      fallback: plan.fallback,
+      accessServiceToken: this.config.accessServiceToken ? { duration: this.config.accessServiceTokenDuration } : null,
+      tunnels,
+      changes: this.diff.changes,
+      summary: this.diff.summary
+    };
+  }
+
+  /**
+   * Dry-run report of token-only mode, made without any API call
+   * @param {object} tunnelPlan - Tunnel entry of the plan
+   * @param {string} cloudflaredPath - Cloudflared binary path
+   * @returns {object} Dry-run report
+   */
+  dryRunTokenOnly(tunnelPlan, cloudflaredPath) {
+    const command = [cloudflaredPath, ...this.buildCloudflaredArgs(null, "<tunnel-token>", "127.0.0.1:<free-port>")];
+    this.logger.info(`Token-only mode: tunnel ${tunnelPlan.tunnelId} (account ${tunnelPlan.accountTag}), no API calls`);
+    this.logger.info(`Command (not started): ${command.join(" ")}`);
+
+    return {
+      dryRun: true,
+      tokenOnly: true,
+      fallback: null,
+      tunnels: [{
+        name: tunnelPlan.tunnelName,
+        action: "token",
+        id: tunnelPlan.tunnelId,
+        accessApps: [],
+        dnsRecords: [],
+        configFile: null,
+        configContent: null,
+        command
+      }],
+      changes: [],
+      summary: { create: 0, update: 0, delete: 0, unchanged: 0 }
+    };
+  }
+
   /**
    * Generate execution report
    * @returns {object} Report data
@@ -501,26 +1200,51 @@ class TunnelManager {
 
     const report = {
       success: true,
-      tunnelsConfigured: 1,
-      pid: this.cloudflaredPid,
-      tunnels: this.tunnelData.services.map((service) => ({
+      tunnelsConfigured: this.tunnels.length,
+      processes: this.tunnels.map((tunnelData) => ({
+        name: tunnelData.tunnelInfo.name,
+        tunnelId: tunnelData.tunnelInfo.id,
+        pid: tunnelData.pid,
+        services: tunnelData.services.length,
+        ...tunnelData.files,
+        credentialsFile: tunnelData.credentialsPath,
+        ...(tunnelData.tokenOnly ? { tokenOnly: true, metricsAddress: tunnelData.metricsAddress } : {})
+      })),
+      tunnels: this.tunnels.flatMap((tunnelData) => tunnelData.services.map((service) => ({
         name: service.name,
         hostname: service.hostname,
+        path: service.path || null,
+        url: `https://${service.hostname}`,
         service: this.buildServiceUrl(service),
-        tunnelId: this.tunnelData.tunnelInfo.id,
+        tunnelId: tunnelData.tunnelInfo.id,
+        pid: tunnelData.pid,
         status: "running",
-      })),
-      configFile: path.join(getConfigDir(this.config.cwd), "config.yml"),
-      logFile: path.join(getCloudflaredLogsDir(this.config.cwd), "cloudflared.log"),
-      pidFile: path.join(getPidDir(this.config.cwd), "cloudflared.pid"),
-      metadataFile: "/var/tmp/runner-tailscale-sync-metadata.json"
+        access: this.getAccessStatus(tunnelData, service.hostname)
+      }))),
+      accessServiceToken: this.accessServiceToken || null,
+      metadataFile: "/var/tmp/runner-tailscale-sync-metadata.json",
+      diff: this.diff ? { changes: this.diff.changes, summary: this.diff.summary } : null
     };
 
+    report.urls = Array.from(new Set(report.tunnels.map((t) => t.url)));
+
     this.logger.info(`Tunnels configured: ${report.tunnelsConfigured}`);
-    this.logger.info(`Cloudflared PID: ${this.cloudflaredPid}`);
+    report.processes.forEach((processInfo) => {
+      this.logger.info(`Cloudflared PID for ${processInfo.name}: ${processInfo.pid} (log: ${processInfo.logFile})`);
+    });
     report.tunnels.forEach((t) => {
-      this.logger.success(`✓ ${t.name}: ${t.hostname} -> ${t.service}`);
+      this.logger.success(`✓ ${t.name}: ${t.hostname}${t.path ? ` (path ${t.path})` : ""} -> ${t.service}${t.access.protected ? " [Access protected]" : ""}`);
     });
+    if (report.urls.length > 0) {
+      this.logger.info(`URLs: ${report.urls.join(", ")}`);
+    }
+    // The diff is computed before execution: conflict policies, reused Access apps and retries may have changed the outcome
+    if (this.diff) {
+      this.logger.info("Planned changes (computed before the run, see the log above for what was applied):");
+      this.diff.changes
+        .filter((item) => item.action !== "noop")
+        .forEach((item) => this.logger.info(`  ${formatChange(item)}`));
+    }
 
     return report;
   }
@@ -0,0 +1,205 @@
+const CloudflareClient = require('./cloudflare-client');
+const { getTunnelFiles, hasApiCredentials } = require('./config');
+const { readText } = require('../adapters/fs-adapter');
+const { getCloudflaredMetadata, getCloudflaredTunnels } = require('../adapters/metadata-adapter');
+const { isProcessRunning } = require('../adapters/process-adapter');
+const { checkReady } = require('../adapters/http-adapter');
+const { maskTokensInContent } = require('../utils/logger');
+
+const STATUS_SCHEMA_VERSION = 2;
+const STATUS_UP = 'up';
+const STATUS_DEGRADED = 'degraded';
+const STATUS_DOWN = 'down';
+
+/**
+ * Tunnel status - collects live health of started tunnels
+ * Combines PID check, Cloudflare connections, metadata services and log tail per tunnel
+ */
+
+class TunnelStatus {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.client = new CloudflareClient(config, logger);
+  }
+
+  /**
+   * Collect tunnel status document
+   * @param {object} options - Collect options
+   * @param {number} options.lines - Number of log lines to include
+   * @returns {Promise<object>} Status document
+   */
+  async collect(options = {}) {
+    const { lines = 20 } = options;
+    const metadata = getCloudflaredMetadata();
+    const cwd = metadata?.cwd || this.config.cwd;
+
+    let tunnels = getCloudflaredTunnels(metadata);
+    if (tunnels.length === 0) {
+      // Without metadata, fall back to the configured tunnel names
+      const names = Array.from(new Set((this.config.tunnels || []).map(tunnel => tunnel.name)));
+      tunnels = names.map(name => ({ tunnelName: name }));
+    }
+
+    const tunnelStatuses = [];
+    for (const tunnel of tunnels) {
+      tunnelStatuses.push(await this.collectTunnel(tunnel, cwd, lines));
+    }
+
+    return {
+      schemaVersion: STATUS_SCHEMA_VERSION,
+      status: this.resolveOverallStatus(tunnelStatuses),
+      checkedAt: new Date().toISOString(),
+      tunnels: tunnelStatuses
+    };
+  }
+
+  /**
+   * Collect status of a single tunnel
+   * @param {object} tunnel - Tunnel entry from metadata
+   * @param {string} cwd - Working directory
+   * @param {number} lines - Number of log lines to include
+   * @returns {Promise<object>} Tunnel status
+   */
+  async collectTunnel(tunnel, cwd, lines) {
+    const defaults = getTunnelFiles(cwd, tunnel.tunnelName);
+    const files = {
+      pidFile: tunnel.files?.pidFile || defaults.pidFile,
+      configFile: tunnel.files?.configFile || null,
+      logFile: tunnel.files?.logFile || defaults.logFile,
+      credentialsFile: tunnel.files?.credentialsFile || null
+    };
+
+    const processInfo = this.checkProcess(tunnel, files.pidFile);
+    const tunnelId = tunnel.tunnelId || null;
+    // Token-only tunnels have no API credentials, their metrics endpoint reports ready connections
+    const connections = tunnel.tokenOnly && tunnel.metricsAddress
+      ? await this.checkMetrics(tunnel.metricsAddress)
+      : await this.checkConnections(tunnelId);
+
+    return {
+      status: this.resolveStatus(processInfo, connections),
+      tunnel: {
+        id: tunnelId,
+        name: tunnel.tunnelName || null,
+        startedAt: tunnel.startedAt || null
+      },
+      process: processInfo,
+      connections,
+      services: tunnel.services || [],
+      files,
+      logTail: this.readLogTail(files.logFile, lines)
+    };
+  }
+
+  /**
+   * Check whether the cloudflared process is alive
+   * @param {object} tunnel - Tunnel entry from metadata
+   * @param {string} pidFile - PID file path
+   * @returns {object} Process info
+   */
+  checkProcess(tunnel, pidFile) {
+    let pid = tunnel?.pid ? parseInt(tunnel.pid, 10) : null;
+    if (!pid) {
+      const pidContent = readText(pidFile);
+      pid = pidContent ? parseInt(pidContent.trim(), 10) : null;
+    }
+
+    if (!pid || isNaN(pid)) {
+      return { pid: null, running: false };
+    }
+
+    return { pid, running: isProcessRunning(pid) };
+  }
+
+  /**
+   * Query Cloudflare for active tunnel connectors
+   * @param {string|null} tunnelId - Tunnel ID
+   * @returns {Promise<object>} Connection info
+   */
+  async checkConnections(tunnelId) {
+    if (!tunnelId) {
+      return { checked: false, reason: 'Tunnel ID not available in metadata', count: 0, connectors: [] };
+    }
+
+    if (!hasApiCredentials(this.config)) {
+      return { checked: false, reason: 'Cloudflare API credentials not configured', count: 0, connectors: [] };
+    }
+
+    try {
+      const clients = await this.client.getTunnelConnections(tunnelId);
+      const connectors = [];
+      clients.forEach((client) => {
+        (client.conns || []).forEach((conn) => {
+          connectors.push({
+            id: conn.id,
+            colo: conn.colo_name || null,
+            version: client.version || null,
+            originIp: conn.origin_ip || null,
+            openedAt: conn.opened_at || null
+          });
+        });
+      });
+      return { checked: true, reason: null, count: connectors.length, connectors };
+    } catch (error) {
+      this.logger.verbose(`Failed to query tunnel connections: ${error.message}`);
+      return { checked: false, reason: error.message, count: 0, connectors: [] };
+    }
+  }
+
+  /**
+   * Query the cloudflared metrics /ready endpoint of a token-only tunnel
+   * @param {string} metricsAddress - Metrics server address (host:port)
+   * @returns {Promise<object>} Connection info
+   */
+  async checkMetrics(metricsAddress) {
+    const readiness = await checkReady(metricsAddress);
+    if (readiness.error) {
+      this.logger.verbose(`Failed to query metrics endpoint: ${readiness.error}`);
+      return { checked: false, reason: `Metrics endpoint ${metricsAddress} not reachable`, count: 0, connectors: [] };
+    }
+    return { checked: true, reason: null, count: readiness.readyConnections, connectors: [], source: 'metrics' };
+  }
+
+  /**
+   * Resolve overall status from process and API signals
+   * @param {object} processInfo - Process info
+   * @param {object} connections - Connection info
+   * @returns {string} Status (up, degraded, down)
+   */
+  resolveStatus(processInfo, connections) {
+    if (!processInfo.running) return STATUS_DOWN;
+    if (connections.checked && connections.count === 0) return STATUS_DEGRADED;
+    return STATUS_UP;
+  }
+
+  /**
+   * Resolve overall status: up only when every tunnel is up
+   * @param {object[]} tunnelStatuses - Per-tunnel status
+   * @returns {string} Status (up, degraded, down)
+   */
+  resolveOverallStatus(tunnelStatuses) {
+    if (tunnelStatuses.length === 0) return STATUS_DOWN;
+    if (tunnelStatuses.every(tunnel => tunnel.status === STATUS_UP)) return STATUS_UP;
+    if (tunnelStatuses.every(tunnel => tunnel.status === STATUS_DOWN)) return STATUS_DOWN;
+    return STATUS_DEGRADED;
+  }
+
+  /**
+   * Read last lines of the cloudflared log
+   * @param {string} logFile - Log file path
+   * @param {number} lines - Number of lines
+   * @returns {string[]} Log lines
+   */
+  readLogTail(logFile, lines) {
+    const content = readText(logFile);
+    if (!content || lines <= 0) return [];
+    return maskTokensInContent(content).trimEnd().split(/\r?\n/).slice(-lines);
+  }
+}
+
+TunnelStatus.STATUS_UP = STATUS_UP;
+TunnelStatus.STATUS_DEGRADED = STATUS_DEGRADED;
+TunnelStatus.STATUS_DOWN = STATUS_DOWN;
+
+module.exports = TunnelStatus;
@@ -0,0 +1,429 @@
+const path = require('path');
+const CloudflareClient = require('./cloudflare-client');
+const { getConfigDir, getCloudflaredLogsDir, getPidDir, getStateFilePath, getTunnelFiles, hasApiCredentials } = require('./config');
+const { readText, deleteFile, exists, listDir } = require('../adapters/fs-adapter');
+const { getCloudflaredMetadata, getCloudflaredTunnels, removeCloudflaredMetadata, METADATA_PATH } = require('../adapters/metadata-adapter');
+const { isProcessRunning, getProcessCommand, killProcess, waitForProcessExit } = require('../adapters/process-adapter');
+const { readState, removeRecordedResource, clearState } = require('../adapters/state-adapter');
+const { ProcessError, ValidationError, CloudflareApiError } = require('../utils/errors');
+const { ingressKey } = require('./plan');
+
+/**
+ * Tunnel stopper - tears down what TunnelManager started
+ * Stops every cloudflared process and removes runtime files and metadata
+ */
+
+class TunnelStopper {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.client = new CloudflareClient(config, logger);
+  }
+
+  /**
+   * Execute complete tunnel teardown workflow
+   * @returns {Promise<object>} Stop report
+   */
+  async execute() {
+    this.logger.section('Stopping Cloudflare Tunnel');
+
+    const metadata = getCloudflaredMetadata();
+    if (metadata) {
+      this.logger.info(`Found tunnel metadata at ${METADATA_PATH}`);
+    } else {
+      this.logger.warn(`No tunnel metadata found at ${METADATA_PATH}, falling back to PID files`);
+    }
+
+    const cwd = metadata?.cwd || this.config.cwd;
+    const metadataTunnels = getCloudflaredTunnels(metadata);
+    const tunnels = metadataTunnels.length > 0 ? metadataTunnels : this.findPidFileTunnels(cwd);
+    if (tunnels.length === 0) {
+      this.logger.warn('No cloudflared PID found - nothing to stop');
+    }
+
+    // A process that cannot be stopped does not keep the other tunnels running
+    const stoppedTunnels = [];
+    const failures = [];
+    for (const tunnel of tunnels) {
+      const files = this.resolveFiles(tunnel, cwd);
+      const pid = this.resolvePid(tunnel, files.pidFile);
+      const name = tunnel.tunnelName || path.basename(files.pidFile);
+
+      let stopped = false;
+      let error = null;
+      if (pid) {
+        try {
+          stopped = await this.stopProcess(pid);
+        } catch (stopError) {
+          error = stopError.message;
+          failures.push(`${name}: ${stopError.message}`);
+          this.logger.error(`Failed to stop ${name}: ${stopError.message}`);
+        }
+      } else {
+        this.logger.warn(`No cloudflared PID found for ${name}`);
+      }
+
+      stoppedTunnels.push({
+        tunnelId: tunnel.tunnelId || null,
+        tunnelName: tunnel.tunnelName || null,
+        pid,
+        stopped,
+        ...(error ? { error } : {}),
+        // The PID file of a process that is still running is kept, so the next stop finds it
+        removedFiles: this.removeRuntimeFiles(error ? { ...files, pidFile: null } : files),
+        removedRemoteRules: await this.removeRemoteRules(tunnel)
+      });
+    }
+
+    if (metadata) {
+      removeCloudflaredMetadata();
+      this.logger.success('Tunnel metadata removed');
+    }
+
+    let deletedResources = null;
+    if (this.config.deleteResources || this.hasEphemeralResources(cwd)) {
+      deletedResources = await this.cleanupResources(cwd, { all: !!this.config.deleteResources });
+    }
+
+    if (failures.length > 0) {
+      throw new ProcessError(`Failed to stop ${failures.length} cloudflared process(es):\n${failures.map(f => `  - ${f}`).join('\n')}`, 1, '');
+    }
+
+    return this.generateReport({ tunnels: stoppedTunnels, metadata, deletedResources });
+  }
+
+  /**
+   * Remove the ingress rules this runner pushed to a remotely managed configuration
+   * Rules of other runners stay; failures are logged and do not fail the stop
+   * @param {object} tunnel - Tunnel entry from metadata
+   * @returns {Promise<string[]>} Removed rule keys
+   */
+  async removeRemoteRules(tunnel) {
+    const owned = tunnel.configMode === 'remote' ? tunnel.remoteRules || [] : [];
+    if (owned.length === 0 || !tunnel.tunnelId) return [];
+
+    if (!hasApiCredentials(this.config)) {
+      this.logger.warn(`API credentials not configured - rules of ${tunnel.tunnelName} stay in the remote configuration: ${owned.join(', ')}`);
+      return [];
+    }
+
+    try {
+      const remoteConfig = (await this.client.getTunnelConfiguration(tunnel.tunnelId)) || {};
+      const ingress = remoteConfig.ingress || [];
+      const kept = ingress.filter(rule => !owned.includes(ingressKey(rule)));
+      const removed = ingress.filter(rule => owned.includes(ingressKey(rule))).map(ingressKey);
+      if (removed.length > 0) {
+        await this.client.updateTunnelConfiguration(tunnel.tunnelId, { ...remoteConfig, ingress: kept });
+        this.logger.success(`Removed ${removed.length} rule(s) of ${tunnel.tunnelName} from the remote configuration`);
+      }
+      return removed;
+    } catch (error) {
+      this.logger.warn(`Failed to remove remote rules of ${tunnel.tunnelName}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Find tunnels from PID files when no metadata is available
+   * @param {string} cwd - Working directory
+   * @returns {object[]} Tunnels with their runtime files
+   */
+  findPidFileTunnels(cwd) {
+    const tunnels = [];
+    listDir(getPidDir(cwd)).forEach((fileName) => {
+      const match = fileName.match(/^cloudflared-(.+)\.pid$/);
+      if (match) {
+        tunnels.push({ tunnelName: match[1], files: getTunnelFiles(cwd, match[1]) });
+      } else if (fileName === 'cloudflared.pid') {
+        // Single-tunnel layout written by earlier versions
+        tunnels.push({
+          files: {
+            pidFile: path.join(getPidDir(cwd), 'cloudflared.pid'),
+            configFile: path.join(getConfigDir(cwd), 'config.yml'),
+            logFile: path.join(getCloudflaredLogsDir(cwd), 'cloudflared.log')
+          }
+        });
+      }
+    });
+    return tunnels;
+  }
+
+  /**
+   * Resolve runtime file paths of a tunnel from metadata or default locations
+   * @param {object} tunnel - Tunnel entry from metadata
+   * @param {string} cwd - Working directory
+   * @returns {object} Runtime file paths
+   */
+  resolveFiles(tunnel, cwd) {
+    const files = tunnel.files || {};
+    const defaults = getTunnelFiles(cwd, tunnel.tunnelName);
+    return {
+      pidFile: files.pidFile || defaults.pidFile,
+      configFile: files.configFile || defaults.configFile,
+      logFile: files.logFile || defaults.logFile,
+      credentialsFile: files.credentialsFile || null
+    };
+  }
+
+  /**
+   * Resolve cloudflared PID from metadata or PID file
+   * @param {object} tunnel - Tunnel entry from metadata
+   * @param {string} pidFile - PID file path
+   * @returns {number|null} PID
+   */
+  resolvePid(tunnel, pidFile) {
+    if (tunnel?.pid) {
+      return parseInt(tunnel.pid, 10);
+    }
+
+    const pidContent = readText(pidFile);
+    if (!pidContent) return null;
+
+    const pid = parseInt(pidContent.trim(), 10);
+    return isNaN(pid) ? null : pid;
+  }
+
+  /**
+   * Send SIGTERM and wait for exit, falling back to SIGKILL
+   * A PID that now belongs to a process other than cloudflared is not signalled
+   * @param {number} pid - Process ID
+   * @returns {Promise<boolean>} True if the process was stopped by us
+   */
+  async stopProcess(pid) {
+    if (!isProcessRunning(pid)) {
+      this.logger.info(`Process ${pid} is not running`);
+      return false;
+    }
+
+    // The PID comes from files that survive a reboot, so it may now belong to an unrelated process
+    const command = await getProcessCommand(pid);
+    if (command !== null && !command.toLowerCase().includes('cloudflared')) {
+      this.logger.warn(`Process ${pid} is not cloudflared (${command || 'unknown command'}), treating it as not running`);
+      return false;
+    }
+
+    const timeout = this.config.stopTimeout || 10000;
+
+    this.logger.info(`Sending SIGTERM to cloudflared (PID: ${pid})...`);
+    killProcess(pid, 'SIGTERM');
+
+    if (await waitForProcessExit(pid, timeout)) {
+      this.logger.success(`Cloudflared stopped (PID: ${pid})`);
+      return true;
+    }
+
+    this.logger.warn(`Process ${pid} did not exit within ${timeout}ms, sending SIGKILL...`);
+    killProcess(pid, 'SIGKILL');
+
+    if (await waitForProcessExit(pid, 5000)) {
+      this.logger.success(`Cloudflared killed (PID: ${pid})`);
+      return true;
+    }
+
+    throw new ProcessError(`Failed to stop cloudflared process ${pid}`, 1, '');
+  }
+
+  /**
+   * Remove PID, config and credentials files (logs are kept)
+   * @param {object} files - Runtime file paths
+   * @returns {string[]} Removed file paths
+   */
+  removeRuntimeFiles(files) {
+    const removed = [];
+
+    [files.pidFile, files.configFile, files.credentialsFile].forEach((filePath) => {
+      if (!filePath || !exists(filePath)) return;
+      try {
+        deleteFile(filePath);
+        removed.push(filePath);
+        this.logger.verbose(`Removed file: ${filePath}`);
+      } catch (error) {
+        this.logger.warn(`Failed to remove ${filePath}: ${error.message}`);
+      }
+    });
+
+    this.logger.success(`Runtime files removed: ${removed.length}`);
+    this.logger.info(`Logs kept at: ${files.logFile}`);
+
+    return removed;
+  }
+
+  /**
+   * Check whether the state file holds resources marked for deletion on stop
+   * @param {string} cwd - Working directory holding the state file
+   * @returns {boolean} True if ephemeral resources are recorded
+   */
+  hasEphemeralResources(cwd) {
+    const state = readState(getStateFilePath(cwd));
+    return [...state.accessServiceTokens, ...state.dnsRecords, ...state.accessApps, ...state.tunnels].some(resource => resource.deleteOnStop);
+  }
+
+  /**
+   * Delete Cloudflare resources recorded as created by this tool
+   * Access service tokens are revoked first (they are always deleteOnStop), then DNS records, then Access applications (so no hostname is left reachable without
+   * its protection), then tunnels (after cleaning their connections)
+   * DNS records that overwrote existing ones (conflict policies update and replace) are restored instead of deleted
+   * @param {string} cwd - Working directory holding the state file
+   * @param {object} options - Cleanup options
+   * @param {boolean} options.all - Delete all recorded resources, not only those marked deleteOnStop
+   * @returns {Promise<object>} Deleted resources
+   */
+  async cleanupResources(cwd, options = {}) {
+    const { all = true } = options;
+    this.logger.section('Deleting Created Cloudflare Resources');
+
+    const statePath = getStateFilePath(cwd);
+    const state = readState(statePath);
+    const selected = (resource) => all || resource.deleteOnStop;
+    const serviceTokens = state.accessServiceTokens.filter(selected);
+    const dnsRecords = state.dnsRecords.filter(selected);
+    const accessApps = state.accessApps.filter(selected);
+    const tunnels = state.tunnels.filter(selected);
+    const deleted = { accessServiceTokens: [], dnsRecords: [], restoredDnsRecords: [], accessApps: [], tunnels: [] };
+
+    if (serviceTokens.length === 0 && dnsRecords.length === 0 && accessApps.length === 0 && tunnels.length === 0) {
+      this.logger.info('No created resources recorded - nothing to delete');
+      return deleted;
+    }
+
+    if (!hasApiCredentials(this.config)) {
+      throw new ValidationError(
+        'CLOUDFLARED_ACCOUNT_ID and CLOUDFLARED_API_TOKEN (or CLOUDFLARED_API_KEY with CLOUDFLARED_EMAIL) are required to delete resources'
+      );
+    }
+
+    const failures = [];
+
+    for (const token of serviceTokens) {
+      try {
+        for (const policy of token.policies || []) {
+          await this.ignoreNotFound(() => this.client.deleteAccessPolicy(policy.appId, policy.policyId));
+        }
+        await this.ignoreNotFound(() => this.client.deleteAccessServiceToken(token.id));
+        if (token.file && exists(token.file)) {
+          deleteFile(token.file);
+        }
+        removeRecordedResource(statePath, 'accessServiceTokens', token.id);
+        deleted.accessServiceTokens.push(token.name);
+        this.logger.success(`Access service token revoked: ${token.name}`);
+      } catch (error) {
+        failures.push(`Access service token ${token.name}: ${error.message}`);
+      }
+    }
+
+    for (const record of dnsRecords) {
+      try {
+        if (record.previous && record.previous.length > 0) {
+          await this.restoreDnsRecord(record);
+          removeRecordedResource(statePath, 'dnsRecords', record.id);
+          deleted.restoredDnsRecords.push(record.name);
+          this.logger.success(`DNS record restored: ${record.name} (${record.previous.map(r => `${r.type} ${r.content}`).join(', ')})`);
+          continue;
+        }
+        await this.ignoreNotFound(() => this.client.deleteDnsRecord(record.zoneId, record.id));
+        removeRecordedResource(statePath, 'dnsRecords', record.id);
+        deleted.dnsRecords.push(record.name);
+        this.logger.success(`DNS record deleted: ${record.name}`);
+      } catch (error) {
+        failures.push(`DNS record ${record.name}: ${error.message}`);
+      }
+    }
+
+    for (const app of accessApps) {
+      try {
+        await this.ignoreNotFound(() => this.client.deleteAccessApp(app.id));
+        removeRecordedResource(statePath, 'accessApps', app.id);
+        deleted.accessApps.push(app.name);
+        this.logger.success(`Access application deleted: ${app.name}`);
+      } catch (error) {
+        failures.push(`Access application ${app.name}: ${error.message}`);
+      }
+    }
+
+    for (const tunnel of tunnels) {
+      try {
+        await this.ignoreNotFound(() => this.client.cleanupTunnelConnections(tunnel.id));
+        await this.ignoreNotFound(() => this.client.deleteTunnel(tunnel.id));
+        removeRecordedResource(statePath, 'tunnels', tunnel.id);
+        deleted.tunnels.push(tunnel.name);
+      } catch (error) {
+        failures.push(`Tunnel ${tunnel.name}: ${error.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      failures.forEach((failure) => this.logger.warn(`Failed to delete ${failure}`));
+      this.logger.warn(`Remaining resources are kept in ${statePath} for the next cleanup`);
+      throw new CloudflareApiError(`Failed to delete ${failures.length} resource(s)`, null, { failures });
+    }
+
+    const remaining = readState(statePath);
+    if (['accessServiceTokens', 'dnsRecords', 'accessApps', 'tunnels'].every(type => remaining[type].length === 0)) {
+      clearState(statePath);
+    }
+    this.logger.success(`Revoked ${deleted.accessServiceTokens.length} Access service token(s), deleted ${deleted.dnsRecords.length} DNS record(s), restored ${deleted.restoredDnsRecords.length} DNS record(s), deleted ${deleted.accessApps.length} Access application(s) and ${deleted.tunnels.length} tunnel(s)`);
+    return deleted;
+  }
+
+  /**
+   * Put back the records a tunnel CNAME overwrote
+   * An updated record is patched back in place; a replacement is deleted and the previous records are created again,
+   * skipping those that already exist so an interrupted restore can be retried
+   * @param {object} record - Recorded DNS record with previous records
+   * @returns {Promise<void>}
+   */
+  async restoreDnsRecord(record) {
+    if (record.action === 'update') {
+      try {
+        await this.client.updateDnsRecord(record.zoneId, record.id, record.previous[0]);
+      } catch (error) {
+        if (!(error instanceof CloudflareApiError && error.statusCode === 404)) throw error;
+        await this.client.createDnsRecord(record.zoneId, record.previous[0]);
+      }
+      return;
+    }
+
+    await this.ignoreNotFound(() => this.client.deleteDnsRecord(record.zoneId, record.id));
+    const existing = await this.client.getDnsRecordsByName(record.zoneId, record.name);
+    for (const previous of record.previous) {
+      if (!existing.some(r => r.type === previous.type && r.content === previous.content)) {
+        await this.client.createDnsRecord(record.zoneId, previous);
+      }
+    }
+  }
+
+  /**
+   * Run a delete call, treating 404 as already deleted
+   * @param {Function} fn - Delete call
+   * @returns {Promise<void>}
+   */
+  async ignoreNotFound(fn) {
+    try {
+      await fn();
+    } catch (error) {
+      if (error instanceof CloudflareApiError && error.statusCode === 404) {
+        this.logger.verbose(`Resource already deleted: ${error.message}`);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate stop report
+   * @param {object} result - Stop result
+   * @returns {object} Report data
+   */
+  generateReport({ tunnels, metadata, deletedResources }) {
+    return {
+      success: true,
+      stopped: tunnels.some(tunnel => tunnel.stopped),
+      tunnels,
+      removedFiles: tunnels.flatMap(tunnel => tunnel.removedFiles),
+      metadataRemoved: !!metadata,
+      deletedResources
+    };
+  }
+}
+
+module.exports = TunnelStopper;
@@ -0,0 +1,30 @@
+const { ConfigError } = require('../utils/errors');
+
+/**
+ * Tunnel token decoding for token-only mode
+ * A tunnel token is base64-encoded JSON: { "a": account tag, "t": tunnel ID, "s": tunnel secret }
+ */
+
+/**
+ * Decode a tunnel token
+ * @param {string} token - CLOUDFLARED_TUNNEL_TOKEN value
+ * @returns {{accountTag: string, tunnelId: string, secret: string}} Token fields
+ */
+function decodeTunnelToken(token) {
+  let fields;
+  try {
+    fields = JSON.parse(Buffer.from(String(token).trim(), 'base64').toString('utf8'));
+  } catch (error) {
+    fields = null;
+  }
+
+  if (!fields || typeof fields.a !== 'string' || typeof fields.t !== 'string' || typeof fields.s !== 'string') {
+    throw new ConfigError('CLOUDFLARED_TUNNEL_TOKEN is not a valid tunnel token (expected base64-encoded JSON with a, t and s)');
+  }
+
+  return { accountTag: fields.a, tunnelId: fields.t, secret: fields.s };
+}
+
+module.exports = {
+  decodeTunnelToken
+};
@@ -0,0 +1,46 @@
+/**
+ * Zone matching for hostnames
+ * The zone of a hostname is the longest account zone that is a suffix of it, so app.example.co.uk
+ * resolves to example.co.uk and a delegated subzone dev.example.com wins over example.com
+ */
+
+const ZONE_ID_PATTERN = /^[0-9a-f]{32}$/i;
+
+/**
+ * Check whether a zone reference is a zone ID rather than a zone name
+ * @param {string} value - Zone name or ID
+ * @returns {boolean} True for zone IDs
+ */
+function isZoneId(value) {
+  return ZONE_ID_PATTERN.test(String(value || ''));
+}
+
+/**
+ * Check whether a hostname lies in a zone (wildcard hostnames are matched by their suffix)
+ * @param {string} hostname - Hostname
+ * @param {string} zoneName - Zone name
+ * @returns {boolean} True when the hostname is the zone apex or below it
+ */
+function isInZone(hostname, zoneName) {
+  const host = String(hostname || '').toLowerCase().replace(/^\*\./, '');
+  const zone = String(zoneName || '').toLowerCase();
+  return !!zone && (host === zone || host.endsWith(`.${zone}`));
+}
+
+/**
+ * Find the zone of a hostname by longest-suffix match
+ * @param {object[]} zones - Account zones ({ id, name })
+ * @param {string} hostname - Hostname
+ * @returns {object|null} Zone, null when no zone matches
+ */
+function findZoneForHostname(zones, hostname) {
+  return (zones || [])
+    .filter(zone => isInZone(hostname, zone.name))
+    .reduce((best, zone) => (!best || zone.name.length > best.name.length ? zone : best), null);
+}
+
+module.exports = {
+  isZoneId,
+  isInZone,
+  findZoneForHostname
+};
@@ -1,13 +1,20 @@
 const { parseInput, reportConfigStatus, validate } = require('./core/config');
 const { plan } = require('./core/plan');
 const TunnelManager = require('./core/tunnel-manager');
+const TunnelStopper = require('./core/tunnel-stopper');
+const TunnelStatus = require('./core/tunnel-status');
 const CloudflareClient = require('./core/cloudflare-client');
 const CloudflaredInstaller = require('./core/cloudflared-installer');
 const logger = require('./utils/logger');
 const packageJson = require('../package.json');
 
 async function startTunnels(options = {}) {
-  const config = parseInput();
+  const config = parseInput({
+    cwd: options.cwd,
+    configFile: options.configFile,
+    profile: options.profile,
+    envFiles: options.envFiles
+  });
   Object.assign(config, options);
   
   logger.init(packageJson.name, packageJson.version, {
@@ -17,7 +24,7 @@ async function startTunnels(options = {}) {
     commandName: options.commandName || 'cloudflared-tunnel-start'
   });
 
-  logger.logConfig(config, ['apiKey', 'tunnelToken']);
+  logger.logConfig(config, ['apiKey', 'apiToken', 'tunnelToken']);
   const status = reportConfigStatus(config);
   logger.info(`Config present: ${status.present.join(', ') || 'none'}`);
   logger.info(`Config missing: ${status.missing.join(', ') || 'none'}`);
@@ -26,19 +33,68 @@ async function startTunnels(options = {}) {
   const planResult = plan(config, logger);
   
   const manager = new TunnelManager({ ...config, plan: planResult }, logger);
+  
+  if (options.dryRun) {
+    return await manager.dryRun();
+  }
+  
   await manager.execute();
   
   return manager.generateReport();
 }
 
+async function stopTunnels(options = {}) {
+  const config = parseInput({
+    cwd: options.cwd,
+    configFile: options.configFile,
+    profile: options.profile,
+    envFiles: options.envFiles
+  });
+  Object.assign(config, options);
+  
+  logger.init(packageJson.name, packageJson.version, {
+    verbose: options.verbose || false,
+    quiet: options.quiet || false,
+    logFile: options.logFile || null,
+    commandName: options.commandName || 'cloudflared-tunnel-stop'
+  });
+  
+  const stopper = new TunnelStopper(config, logger);
+  return await stopper.execute();
+}
+
+async function getTunnelStatus(options = {}) {
+  const config = parseInput({
+    cwd: options.cwd,
+    configFile: options.configFile,
+    profile: options.profile,
+    envFiles: options.envFiles
+  });
+  Object.assign(config, options);
+  
+  logger.init(packageJson.name, packageJson.version, {
+    verbose: options.verbose || false,
+    quiet: options.quiet !== undefined ? options.quiet : true,
+    logFile: options.logFile || null,
+    commandName: options.commandName || 'cloudflared-tunnel-status'
+  });
+  
+  const tunnelStatus = new TunnelStatus(config, logger);
+  return await tunnelStatus.collect({ lines: options.lines });
+}
+
 function getVersion() {
   return packageJson.version;
 }
 
 module.exports = {
   startTunnels,
+  stopTunnels,
+  getTunnelStatus,
   getVersion,
   TunnelManager,
+  TunnelStopper,
+  TunnelStatus,
   CloudflareClient,
   CloudflaredInstaller,
   logger,
@@ -7,11 +7,12 @@ class ValidationError extends Error {
 }
 
 class NetworkError extends Error {
-  constructor(message, originalError) {
+  constructor(message, originalError, attempts = []) {
     super(message);
     this.name = 'NetworkError';
     this.exitCode = 10;
     this.originalError = originalError;
+    this.attempts = attempts;
   }
 }
 
@@ -34,15 +35,22 @@ class ConfigError extends Error {
 }
 
 class CloudflareApiError extends Error {
-  constructor(message, statusCode, response) {
+  constructor(message, statusCode, response, attempts = []) {
     super(message);
     this.name = 'CloudflareApiError';
     this.exitCode = 10;
     this.statusCode = statusCode;
     this.response = response;
+    this.attempts = attempts;
   }
 }
 
+function formatAttempts(attempts) {
+  return attempts
+    .map(a => `#${a.attempt} ${a.status || 'no response'}${a.error ? ` ${a.error}` : ''} -> ${a.decision}${a.waitMs ? ` (waited ${a.waitMs}ms)` : ''}`)
+    .join('; ');
+}
+
 function handleError(error, logger) {
   if (error instanceof ValidationError) {
     logger.error('Validation Error: ' + error.message);
@@ -53,6 +61,9 @@ function handleError(error, logger) {
     if (error.originalError) {
       logger.verbose('Original error: ' + error.originalError.message);
     }
+    if (error.attempts && error.attempts.length > 1) {
+      logger.info('Attempts: ' + formatAttempts(error.attempts));
+    }
     logger.info('Hint: Check your internet connection and Cloudflare API status');
     process.exit(error.exitCode);
   } else if (error instanceof ProcessError) {
@@ -71,6 +82,9 @@ function handleError(error, logger) {
   } else if (error instanceof CloudflareApiError) {
     logger.error('Cloudflare API Error: ' + error.message);
     logger.error('Status Code: ' + error.statusCode);
+    if (error.attempts && error.attempts.length > 1) {
+      logger.info('Attempts: ' + formatAttempts(error.attempts));
+    }
     if (error.response) {
       logger.verbose('Response: ' + JSON.stringify(error.response, null, 2));
     }
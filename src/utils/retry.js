@@ -25,6 +25,7 @@ async function retry(fn, options = {}) {
   throw lastError;
 }
 
+// shouldRetry(error, attempt) decides per failure; delay is a number or a function (error, attempt) => ms
 async function retryIf(fn, shouldRetry, options = {}) {
   const {
     maxAttempts = 3,
@@ -36,12 +37,13 @@ async function retryIf(fn, shouldRetry, options = {}) {
   
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
-      return await fn();
+      return await fn(attempt);
     } catch (error) {
       lastError = error;
-      if (!shouldRetry(error) || attempt === maxAttempts) break;
-      if (onRetry) onRetry(error, attempt);
-      await sleep(delay);
+      if (!shouldRetry(error, attempt) || attempt === maxAttempts) break;
+      const waitTime = typeof delay === 'function' ? delay(error, attempt) : delay;
+      if (onRetry) onRetry(error, attempt, waitTime);
+      await sleep(waitTime);
     }
   }
   
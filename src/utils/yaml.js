@@ -0,0 +1,194 @@
+/**
+ * Minimal YAML reader for the subset this package reads and writes:
+ * block mappings, block sequences, plain/quoted scalars and simple flow lists.
+ * Anchors, aliases, tags and block scalars (| and >) are not supported.
+ */
+
+const { ConfigError } = require('./errors');
+
+function yamlError(message, lineNo) {
+  return new ConfigError(lineNo ? `YAML line ${lineNo}: ${message}` : `YAML: ${message}`);
+}
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function tokenize(text) {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    if (raw.trim() === '---') return;
+    const content = stripComment(raw).trimEnd();
+    if (!content.trim()) return;
+    if (/^\s*\t/.test(content)) {
+      throw yamlError('tabs are not allowed for indentation', index + 1);
+    }
+    const indent = content.length - content.trimStart().length;
+    lines.push({ indent, content: content.trim(), lineNo: index + 1 });
+  });
+  return lines;
+}
+
+function isSequenceItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+function splitKey(content) {
+  let keyEnd;
+  if (content.startsWith('"') || content.startsWith("'")) {
+    const close = content.indexOf(content[0], 1);
+    if (close === -1 || content[close + 1] !== ':') return null;
+    keyEnd = close + 1;
+  } else {
+    const match = content.match(/:(\s|$)/);
+    if (!match) return null;
+    keyEnd = match.index;
+  }
+  const key = parseScalar(content.slice(0, keyEnd).trim());
+  const value = content.slice(keyEnd + 1).trim();
+  return { key: String(key), value };
+}
+
+function splitFlowItems(inner) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const char of inner) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+function parseScalar(value, lineNo) {
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw yamlError(`invalid double-quoted string ${value}`, lineNo);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) {
+      throw yamlError(`invalid single-quoted string ${value}`, lineNo);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) throw yamlError(`unterminated flow sequence ${value}`, lineNo);
+    return splitFlowItems(value.slice(1, -1)).map(item => parseScalar(item, lineNo));
+  }
+  if (value === '{}') return {};
+  if (value.startsWith('{') || value === '|' || value === '>' || value.startsWith('&') || value.startsWith('!')) {
+    throw yamlError(`unsupported YAML syntax: ${value}`, lineNo);
+  }
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null' || value === '~') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+function parseBlock(state, indent) {
+  const line = state.lines[state.pos];
+  return isSequenceItem(line.content) ? parseSequence(state, indent) : parseMapping(state, indent);
+}
+
+function parseNested(state, parentIndent, allowSameIndentSequence) {
+  const next = state.lines[state.pos];
+  if (!next) return null;
+  if (next.indent > parentIndent) return parseBlock(state, next.indent);
+  if (allowSameIndentSequence && next.indent === parentIndent && isSequenceItem(next.content)) {
+    return parseSequence(state, parentIndent);
+  }
+  return null;
+}
+
+function parseSequence(state, indent) {
+  const result = [];
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos];
+    if (line.indent < indent || !isSequenceItem(line.content)) break;
+    if (line.indent > indent) throw yamlError('unexpected indentation', line.lineNo);
+
+    const afterDash = line.content.slice(1);
+    const rest = afterDash.trim();
+    if (!rest) {
+      state.pos++;
+      result.push(parseNested(state, indent, false));
+    } else if (!rest.startsWith('[') && splitKey(rest)) {
+      // "- key: value" starts a mapping aligned with the first key
+      const childIndent = indent + 1 + (afterDash.length - afterDash.trimStart().length);
+      state.lines[state.pos] = { ...line, indent: childIndent, content: rest };
+      result.push(parseMapping(state, childIndent));
+    } else {
+      result.push(parseScalar(rest, line.lineNo));
+      state.pos++;
+    }
+  }
+  return result;
+}
+
+function parseMapping(state, indent) {
+  const result = {};
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos];
+    if (line.indent < indent) break;
+    if (line.indent > indent) throw yamlError('unexpected indentation', line.lineNo);
+    if (isSequenceItem(line.content)) break;
+
+    const entry = splitKey(line.content);
+    if (!entry) throw yamlError(`expected "key: value", got "${line.content}"`, line.lineNo);
+    if (Object.prototype.hasOwnProperty.call(result, entry.key)) {
+      throw yamlError(`duplicate key "${entry.key}"`, line.lineNo);
+    }
+    state.pos++;
+    result[entry.key] = entry.value === ''
+      ? parseNested(state, indent, true)
+      : parseScalar(entry.value, line.lineNo);
+  }
+  return result;
+}
+
+/**
+ * Parse YAML text
+ * @param {string} text - YAML content
+ * @returns {*} Parsed value (null for empty documents)
+ */
+function parse(text) {
+  const lines = tokenize(text);
+  if (lines.length === 0) return null;
+
+  const state = { lines, pos: 0 };
+  const result = parseBlock(state, lines[0].indent);
+  if (state.pos < lines.length) {
+    throw yamlError('unexpected content', lines[state.pos].lineNo);
+  }
+  return result;
+}
+
+module.exports = {
+  parse
+};